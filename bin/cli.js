@@ -2,10 +2,18 @@
 
 // bin/cli.js
 
-import { detectFramework, scanDirectory, findTrackedSensitiveFiles } from '../lib/detector.js';
+import fs from 'fs';
+import path from 'path';
+import { detectFramework, scanDirectory, findTrackedSensitiveFiles, findUntrackedSensitiveFiles, scanStagedFiles, scanDiff, verifyRuleExamples } from '../lib/detector.js';
 import { updateGitignore, previewGitignoreChanges, validateGitignore } from '../lib/gitignore.js';
 import { removeTrackedSensitiveFiles, previewCleanup, validateCleanupSafety } from '../lib/cleaner.js';
-import { installHooks, uninstallHooks, checkHookInstallation } from '../lib/hooks.js';
+import { installHooks, uninstallHooks, checkHookInstallation, HOOK_TYPES } from '../lib/hooks.js';
+import { scanHistory, scanPush, parsePushUpdates } from '../lib/history.js';
+import { scanCommitMessage, saveRecoveryMessage } from '../lib/messages.js';
+import { loadConfig } from '../lib/config.js';
+import { runGit } from '../lib/git.js';
+import { getReporter, writeReport } from '../lib/reporters/index.js';
+import { BASELINE_FILE, createBaseline, writeBaseline, loadBaseline, applyBaseline } from '../lib/baseline.js';
 
 function displayFindings(findings) {
     if (findings.length === 0) {
@@ -29,9 +37,19 @@ function displayFindings(findings) {
             console.log(`${icon} ${severity.toUpperCase()} RISK:\n`);
 
             grouped[severity].forEach((finding, index) => {
-                console.log(`   ${finding.description}`);
-                console.log(`   📁 ${finding.file}:${finding.line}`);
-                console.log(`   🔑 ${finding.match}`);
+                const confidence = finding.confidence === 'validated'
+                    ? ' (✅ validated)'
+                    : finding.confidence === 'unverified' ? ' (failed validation, downgraded)' : '';
+                console.log(`   ${finding.description}${confidence}`);
+                console.log(`   📁 ${finding.file}:${finding.line}${finding.endLine ? `-${finding.endLine}` : ''}${finding.submodule ? ` (submodule ${finding.submodule})` : ''}`);
+                if (finding.commit) {
+                    const pushed = finding.pushed ? 'already pushed' : 'not pushed';
+                    console.log(`   🔖 ${finding.commit.slice(0, 10)} by ${finding.author} on ${finding.date} (${pushed})`);
+                }
+                console.log(`   🔑 ${finding.key ? `${finding.key} = ` : ''}${finding.match}`);
+                if (finding.encoding) {
+                    console.log(`   🔓 Decoded from ${finding.encoding.join(' > ')}`);
+                }
                 console.log(`   💡 ${finding.suggestion}\n`);
             });
         }
@@ -56,35 +74,549 @@ function displayTrackedFiles(trackedFiles) {
     return true;
 }
 
+function displayUntrackedFiles(untrackedFiles) {
+    if (untrackedFiles.length === 0) {
+        return false;
+    }
+
+    console.log(`⚠️  Found ${untrackedFiles.length} sensitive file(s) that are neither tracked nor ignored:\n`);
+
+    untrackedFiles.forEach(({ file, gitignoreLine }) => {
+        const hint = gitignoreLine
+            ? `add "${gitignoreLine}" to .gitignore`
+            : 'a nested .gitignore re-includes it';
+        console.log(`   📁 ${file} → ${hint}`);
+    });
+
+    console.log('\n💡 Run `npx secure-commit init` to add these lines to .gitignore\n');
+    return true;
+}
+
+function displayReincludedFiles(exposed) {
+    const reincluded = exposed.filter(entry => entry.reincludedBy);
+    if (reincluded.length === 0) {
+        return;
+    }
+
+    console.log(`\n⚠️  ${reincluded.length} sensitive file(s) re-included by a negation rule:\n`);
+
+    reincluded.forEach(({ file, reincludedBy }) => {
+        console.log(`   📁 ${file} ← "${reincludedBy.pattern}" (${reincludedBy.file}:${reincludedBy.line})`);
+    });
+
+    console.log('\n💡 Remove these lines: adding more patterns will not ignore the files');
+}
+
+function displaySuppressedFindings(suppressed) {
+    if (suppressed.length === 0) {
+        console.log('🙈 No suppressed findings\n');
+        return;
+    }
+
+    console.log(`🙈 ${suppressed.length} suppressed finding(s):\n`);
+
+    suppressed.forEach(finding => {
+        console.log(`   ${finding.description} (${finding.type})`);
+        console.log(`   📁 ${finding.file}:${finding.line}`);
+        console.log(`   📝 ${finding.suppressed.reason}\n`);
+    });
+}
+
+function displayStaleBaselineEntries(stale, baselineFile, log = console.log) {
+    if (stale.length === 0) {
+        return;
+    }
+
+    log(`🧹 ${stale.length} baseline entry(ies) in ${baselineFile} no longer match anything:\n`);
+
+    stale.forEach(entry => {
+        log(`   - ${entry.type} in ${entry.file}:${entry.line}`);
+    });
+
+    log('\n💡 Run `npx secure-commit baseline create` to prune them\n');
+}
+
+/**
+ * .gitignore lines that cover sensitive files which are neither tracked nor ignored
+ */
+function untrackedGitignoreLines(targetDir, config) {
+    return findUntrackedSensitiveFiles(targetDir, { config })
+        .map(entry => entry.gitignoreLine)
+        .filter(Boolean);
+}
+
+function loadBaselineOrExit(targetDir, baselineFile) {
+    let baseline;
+    try {
+        baseline = loadBaseline(targetDir, baselineFile);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    if (!baseline) {
+        console.error(`❌ Baseline not found: ${baselineFile}`);
+        console.error('💡 Create one with `npx secure-commit baseline create`');
+        process.exit(1);
+    }
+
+    return baseline;
+}
+
+/**
+ * Drop the findings recorded in the baseline given with `--baseline`. Stale
+ * entries are only listed for working-tree scans: a diff or history scan
+ * doesn't see every file, so unmatched entries there mean nothing.
+ */
+function applyBaselineFlag(findings, targetDir, baselineFile, options = {}) {
+    const { reportStale = false, log = console.log } = options;
+    const result = applyBaseline(findings, loadBaselineOrExit(targetDir, baselineFile));
+
+    log(`📋 ${result.baselined.length} known finding(s) skipped via ${baselineFile}\n`);
+    if (reportStale) {
+        displayStaleBaselineEntries(result.stale, baselineFile, log);
+    }
+    return result.newFindings;
+}
+
+/**
+ * Drop findings recorded in the committed baseline, so known findings don't
+ * block commits or pushes
+ */
+function skipBaselinedFindings(findings, targetDir) {
+    let baseline = null;
+    try {
+        baseline = loadBaseline(targetDir);
+    } catch (error) {
+        console.warn(`⚠️  Ignoring baseline: ${error.message}`);
+    }
+
+    if (!baseline) {
+        return findings;
+    }
+
+    const filtered = applyBaseline(findings, baseline);
+    if (filtered.baselined.length > 0) {
+        console.log(`📋 ${filtered.baselined.length} known finding(s) skipped via ${BASELINE_FILE}\n`);
+    }
+    return filtered.newFindings;
+}
+
+/**
+ * Hook types from `--hooks pre-commit,pre-push`, or `fallback` without the flag
+ */
+function parseHookList(value, fallback) {
+    if (!value) {
+        return fallback;
+    }
+
+    const hooks = value.split(',').map(hook => hook.trim()).filter(Boolean);
+    const unknown = hooks.filter(hook => !HOOK_TYPES.includes(hook));
+    if (unknown.length > 0) {
+        console.error(`❌ Unknown hook type: ${unknown.join(', ')} (expected ${HOOK_TYPES.join(', ')})`);
+        process.exit(1);
+    }
+    return hooks;
+}
+
 async function main() {
     const args = process.argv.slice(2);
     const command = args[0] || 'scan';
     const hasFlag = (flag) => args.includes(flag);
+    const getFlagValue = (flag) => {
+        const value = args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined;
+        return value && !value.startsWith('--') ? value : null;
+    };
     const targetDir = '.';
+    const respectIgnore = !hasFlag('--no-ignore');
+    const submodules = hasFlag('--submodules');
+    const showSuppressed = hasFlag('--show-suppressed');
+    const baselineFile = hasFlag('--baseline') ? getFlagValue('--baseline') || BASELINE_FILE : null;
+    const format = getFlagValue('--format') || 'console';
+    const outputFile = getFlagValue('--output');
+
+    // A report written to stdout must not be mixed with progress messages
+    const reportToStdout = command === 'scan' && format !== 'console' && !outputFile;
+
+    if (!reportToStdout) {
+        console.log('🛡️  Secure Project - Protecting your secrets\n');
+    }
+
+    // Every command that scans or touches files reads the same project config
+    let config;
+    if (['scan', 'hook', 'clean', 'init', 'preview', 'baseline', 'rules'].includes(command)) {
+        try {
+            config = loadConfig(targetDir);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+
+        if (config.source && !reportToStdout) {
+            console.log(`⚙️  Using config: ${path.relative(targetDir, config.source) || config.source}\n`);
+        }
+    }
+
+    // Diff and history scans read commits, not the checked-out submodules
+    const scansChanges = hasFlag('--history') || hasFlag('--staged') || hasFlag('--since') || hasFlag('--diff');
+    if (command === 'scan' && submodules && scansChanges) {
+        console.error('❌ --submodules only applies to working-tree scans, not --history, --staged, --since or --diff');
+        process.exit(1);
+    }
+
+    if (command === 'scan' && format !== 'console') {
+        let reporter;
+        try {
+            reporter = getReporter(format);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+
+        let findings;
+        let trackedFiles = [];
+        let context = {};
+        try {
+            if (hasFlag('--history')) {
+                findings = scanHistory(targetDir, { range: getFlagValue('--history'), config, respectIgnore, includeSuppressed: true }).findings;
+            } else if (hasFlag('--staged') || hasFlag('--since') || hasFlag('--diff')) {
+                findings = scanDiff(targetDir, {
+                    staged: hasFlag('--staged'),
+                    since: getFlagValue('--since'),
+                    range: getFlagValue('--diff'),
+                    config,
+                    respectIgnore,
+                    includeSuppressed: true
+                }).findings;
+            } else {
+                findings = scanDirectory(targetDir, { config, includeSuppressed: true, respectIgnore, submodules });
+                trackedFiles = findTrackedSensitiveFiles(targetDir, { config, submodules });
+                context = {
+                    projectPath: targetDir,
+                    hookStatus: checkHookInstallation(targetDir),
+                    gitignore: validateGitignore(detectFramework(targetDir), targetDir, { config })
+                };
+            }
+        } catch (error) {
+            console.error(`❌ Scan failed: ${error.message}`);
+            process.exit(1);
+        }
+
+        // Baselined secrets still have to be masked where a report shows source
+        const maskFindings = findings;
+
+        if (baselineFile) {
+            // Keep stdout for the report itself
+            findings = applyBaselineFlag(findings, targetDir, baselineFile, {
+                reportStale: !scansChanges,
+                log: reportToStdout ? console.error : console.log
+            });
+        }
+
+        try {
+            writeReport(reporter({ findings, maskFindings, trackedFiles, config, ...context }), outputFile);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+
+        if (outputFile) {
+            console.log(`📄 Wrote ${format} report to ${outputFile}`);
+        }
+
+        const failed = trackedFiles.length > 0 || findings.some(finding => !finding.suppressed);
+        process.exit(failed ? 1 : 0);
+    }
+    else if (command === 'scan' && hasFlag('--history')) {
+        const range = getFlagValue('--history');
+        console.log(range
+            ? `📜 Scanning commits in ${range}...\n`
+            : '📜 Scanning all commits reachable from any ref...\n');
+
+        let result;
+        try {
+            result = scanHistory(targetDir, { range, config, respectIgnore, includeSuppressed: showSuppressed });
+        } catch (error) {
+            console.error(`❌ History scan failed: ${error.message}`);
+            process.exit(1);
+        }
+
+        console.log(`📜 Scanned ${result.commitsScanned} commit(s)\n`);
+        let findings = result.findings.filter(finding => !finding.suppressed);
+
+        if (showSuppressed) {
+            displaySuppressedFindings(result.findings.filter(finding => finding.suppressed));
+        }
+        if (baselineFile) {
+            findings = applyBaselineFlag(findings, targetDir, baselineFile);
+        }
+
+        const hasSecrets = displayFindings(findings);
+
+        if (findings.some(finding => finding.pushed)) {
+            console.log('🚨 Some of these commits are already pushed.');
+            console.log('💡 Rotate those secrets - deleting them from history does not un-leak them\n');
+        }
+
+        process.exit(hasSecrets ? 1 : 0);
+    }
+    else if (command === 'scan' && (hasFlag('--staged') || hasFlag('--since') || hasFlag('--diff'))) {
+        const options = {
+            staged: hasFlag('--staged'),
+            since: getFlagValue('--since'),
+            range: getFlagValue('--diff'),
+            config,
+            respectIgnore,
+            includeSuppressed: showSuppressed
+        };
+
+        if ((hasFlag('--since') && !options.since) || (hasFlag('--diff') && !options.range)) {
+            console.error('❌ --since needs a ref and --diff needs a range, e.g. --diff main..feature');
+            process.exit(1);
+        }
+
+        const label = options.staged ? 'staged changes'
+            : options.since ? `changes since ${options.since}`
+                : `changes in ${options.range}`;
+        console.log(`🔍 Scanning added lines in ${label}...\n`);
+
+        let result;
+        try {
+            result = scanDiff(targetDir, options);
+        } catch (error) {
+            console.error(`❌ Diff scan failed: ${error.message}`);
+            process.exit(1);
+        }
+
+        console.log(`📄 ${result.filesChecked} changed file(s) checked\n`);
+        let findings = result.findings.filter(finding => !finding.suppressed);
 
-    console.log('🛡️  Secure Project - Protecting your secrets\n');
+        if (showSuppressed) {
+            displaySuppressedFindings(result.findings.filter(finding => finding.suppressed));
+        }
+        if (baselineFile) {
+            findings = applyBaselineFlag(findings, targetDir, baselineFile);
+        }
 
-    if (command === 'scan') {
+        process.exit(displayFindings(findings) ? 1 : 0);
+    }
+    else if (command === 'scan') {
         // Detect framework
         const frameworks = detectFramework(targetDir);
         console.log(`📦 Detected: ${frameworks.join(', ')}\n`);
 
         // Scan for secrets in files
-        const findings = scanDirectory(targetDir);
+        const scanned = scanDirectory(targetDir, {
+            config,
+            includeSuppressed: showSuppressed,
+            respectIgnore,
+            submodules
+        });
+        let findings = scanned.filter(finding => !finding.suppressed);
+
+        if (showSuppressed) {
+            displaySuppressedFindings(scanned.filter(finding => finding.suppressed));
+        }
+
+        // Only report findings that are not in the baseline
+        if (baselineFile) {
+            findings = applyBaselineFlag(findings, targetDir, baselineFile, { reportStale: true });
+        }
+
         const hasSecrets = displayFindings(findings);
 
         // Check for tracked sensitive files
-        const trackedFiles = findTrackedSensitiveFiles(targetDir);
+        const trackedFiles = findTrackedSensitiveFiles(targetDir, { config, submodules });
         const hasTrackedFiles = displayTrackedFiles(trackedFiles);
 
+        // Warn about sensitive files one `git add .` away from being committed
+        const hasUntrackedFiles = displayUntrackedFiles(findUntrackedSensitiveFiles(targetDir, { config }));
+
         // Summary
-        if (!hasSecrets && !hasTrackedFiles) {
+        if (!hasSecrets && !hasTrackedFiles && !hasUntrackedFiles) {
             console.log('\n🎉 Your project looks secure!');
             console.log('💡 Run `npx secure-commit install` to set up prevention hooks');
         }
 
         process.exit(hasSecrets || hasTrackedFiles ? 1 : 0);
     }
+    else if (command === 'hook') {
+        // Hook managers run `hook <type> --hook-version <version> [arg]`; the
+        // stamp is only read by `install`
+        const hookArgs = args.filter((arg, index) => arg !== '--hook-version' && args[index - 1] !== '--hook-version');
+        const hookName = hookArgs[1];
+
+        if (!HOOK_TYPES.includes(hookName)) {
+            console.error(`❌ Unknown hook: ${hookName || '(none)'}`);
+            process.exit(1);
+        }
+
+        if (hookName === 'commit-msg') {
+            const messageFile = hookArgs[2];
+            if (!messageFile) {
+                console.error('❌ Usage: secure-commit hook commit-msg <message-file>');
+                process.exit(1);
+            }
+
+            console.log('🔍 Scanning commit message for secrets...\n');
+
+            let findings;
+            try {
+                findings = skipBaselinedFindings(scanCommitMessage(messageFile, { projectPath: targetDir, config }), targetDir);
+            } catch (error) {
+                console.error(`❌ Could not read commit message: ${error.message}`);
+                process.exit(1);
+            }
+
+            if (!displayFindings(findings)) {
+                console.log('✅ Commit message is clean');
+                process.exit(0);
+            }
+
+            console.log('❌ COMMIT BLOCKED: Secrets detected in the commit message!\n');
+            try {
+                const recoveryPath = saveRecoveryMessage(messageFile);
+                console.log(`📝 Your message was saved to ${recoveryPath}`);
+                console.log(`💡 Remove the secrets and commit again with: git commit -e -F ${recoveryPath}\n`);
+            } catch (error) {
+                console.warn(`⚠️  Could not save your message: ${error.message}\n`);
+            }
+            console.log('If you\'re certain these aren\'t real secrets:');
+            console.log('- git commit --no-verify (skips this check)\n');
+            process.exit(1);
+        }
+
+        if (hookName === 'pre-push') {
+            console.log('🔍 Scanning outgoing commits for secrets...\n');
+
+            let result;
+            try {
+                let updates = parsePushUpdates(fs.readFileSync(0, 'utf8'));
+                let remote = hookArgs[2] || null;
+
+                // The pre-commit framework passes the push in its environment instead
+                if (updates.length === 0 && process.env.PRE_COMMIT_TO_REF) {
+                    updates = [{
+                        localRef: process.env.PRE_COMMIT_LOCAL_BRANCH || 'HEAD',
+                        localSha: runGit(['rev-parse', process.env.PRE_COMMIT_TO_REF], targetDir).trim(),
+                        remoteRef: process.env.PRE_COMMIT_REMOTE_BRANCH || '',
+                        remoteSha: process.env.PRE_COMMIT_FROM_REF || '0'.repeat(40)
+                    }];
+                    remote = process.env.PRE_COMMIT_REMOTE_NAME || remote;
+                }
+
+                result = scanPush(targetDir, { updates, remote, config });
+            } catch (error) {
+                console.error(`❌ Could not read outgoing commits: ${error.message}`);
+                process.exit(1);
+            }
+
+            if (result.commitsScanned === 0) {
+                console.log('ℹ️  No new commits to check');
+                process.exit(0);
+            }
+
+            const findings = skipBaselinedFindings(result.findings, targetDir);
+
+            if (!displayFindings(findings)) {
+                console.log(`✅ Checked ${result.commitsScanned} commit(s)`);
+                process.exit(0);
+            }
+
+            console.log('❌ PUSH BLOCKED: Secrets detected in these commits:\n');
+            result.commits.forEach(commit => {
+                const count = findings.filter(finding => finding.commit === commit.sha).length;
+                if (count > 0) {
+                    console.log(`   🔖 ${commit.sha.slice(0, 10)} ${commit.subject} (${count} finding(s))`);
+                }
+            });
+            console.log('\nTo fix this:');
+            console.log('1. Remove the secrets and rotate them - they may already be on other machines');
+            console.log('2. Rewrite the commits, e.g. git rebase -i <commit>^ and amend each one');
+            console.log('3. Push again\n');
+            console.log('If you\'re certain these aren\'t real secrets:');
+            console.log('- git push --no-verify (skips this check)\n');
+            process.exit(1);
+        }
+
+        console.log('🔍 Scanning staged files for secrets...\n');
+
+        let result;
+        try {
+            result = scanStagedFiles(targetDir, { config });
+        } catch (error) {
+            console.error(`❌ Could not read staged files: ${error.message}`);
+            process.exit(1);
+        }
+
+        if (result.filesChecked === 0) {
+            console.log('ℹ️  No staged files to check');
+            process.exit(0);
+        }
+
+        result.findings = skipBaselinedFindings(result.findings, targetDir);
+
+        if (!displayFindings(result.findings)) {
+            console.log(`✅ Checked ${result.filesChecked} staged file(s)`);
+            process.exit(0);
+        }
+
+        console.log('❌ COMMIT BLOCKED: Secrets detected in staged files!\n');
+        console.log('To fix this:');
+        console.log('1. Move secrets to environment variables (.env file)');
+        console.log('2. Add .env* to your .gitignore');
+        console.log('3. Use process.env.YOUR_SECRET in your code\n');
+        console.log('If you\'re certain these aren\'t real secrets:');
+        console.log('- git commit --no-verify (skips this check)\n');
+        process.exit(1);
+    }
+    else if (command === 'baseline') {
+        if (args[1] !== 'create') {
+            console.error('❌ Usage: secure-commit baseline create [--output <file>]');
+            process.exit(1);
+        }
+
+        const baselineFile = getFlagValue('--output') || BASELINE_FILE;
+        const findings = scanDirectory(targetDir, { config, respectIgnore });
+
+        try {
+            const baseline = createBaseline(findings);
+            writeBaseline(baseline, targetDir, baselineFile);
+            console.log(`✅ Wrote ${baseline.findings.length} finding(s) to ${baselineFile}`);
+            console.log('💡 Commit it, then run `npx secure-commit scan --baseline` in CI to fail only on new findings');
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+    }
+    else if (command === 'rules') {
+        const rules = Object.entries(config.rules);
+
+        if (!hasFlag('--verify')) {
+            console.log(`📚 ${rules.length} active rule(s):\n`);
+            rules.forEach(([id, rule]) => {
+                console.log(`   ${id.padEnd(26)} ${rule.severity.padEnd(7)} ${rule.description}`);
+            });
+            console.log('\n💡 Run `npx secure-commit rules --verify` to check every rule against its examples');
+            return;
+        }
+
+        const failures = verifyRuleExamples(config);
+        const total = rules.reduce((count, [, rule]) =>
+            count + ((rule.examples && rule.examples.positive) || []).length + ((rule.examples && rule.examples.negative) || []).length, 0);
+
+        if (failures.length === 0) {
+            console.log(`✅ All ${total} rule example(s) behave as expected`);
+            return;
+        }
+
+        console.log(`❌ ${failures.length} of ${total} rule example(s) failed:\n`);
+        failures.forEach(failure => {
+            const outcome = failure.expected === 'positive' ? 'was not reported' : 'was reported but should not be';
+            console.log(`   ${failure.rule}: ${failure.expected} example in ${failure.file} ${outcome}`);
+        });
+        process.exit(1);
+    }
     else if (command === 'clean') {
         const dryRun = hasFlag('--preview') || hasFlag('--dry-run');
         const force = hasFlag('--force');
@@ -93,7 +625,7 @@ async function main() {
 
         try {
             // Validate safety first
-            const safety = validateCleanupSafety(targetDir);
+            const safety = validateCleanupSafety(targetDir, { config, submodules });
 
             if (!safety.safe) {
                 console.error('❌ Cannot proceed with cleanup:');
@@ -107,7 +639,7 @@ async function main() {
                 console.log('');
             }
 
-            const result = await removeTrackedSensitiveFiles(targetDir, { dryRun, force });
+            const result = await removeTrackedSensitiveFiles(targetDir, { dryRun, force, config, submodules });
 
             if (result.removed.length === 0 && result.skipped.length === 0 && result.failed.length === 0) {
                 console.log('✅ No tracked sensitive files found');
@@ -159,7 +691,8 @@ async function main() {
         const frameworks = detectFramework(targetDir);
         console.log(`📦 Detected: ${frameworks.join(', ')}\n`);
 
-        const preview = previewGitignoreChanges(frameworks, targetDir);
+        const extraPatterns = untrackedGitignoreLines(targetDir, config);
+        const preview = previewGitignoreChanges(frameworks, targetDir, { config, extraPatterns });
 
         if (preview.toAdd.length === 0) {
             console.log('✅ .gitignore is already properly configured!');
@@ -175,13 +708,16 @@ async function main() {
 
             console.log('\n💡 Run `secure-project init` to apply these changes');
         }
+
+        displayReincludedFiles(validateGitignore(frameworks, targetDir, { config }).exposed);
     }
     else if (command === 'init') {
         const frameworks = detectFramework(targetDir);
         console.log(`📦 Setting up security for: ${frameworks.join(', ')}\n`);
 
         try {
-            const result = updateGitignore(frameworks, targetDir);
+            const extraPatterns = untrackedGitignoreLines(targetDir, config);
+            const result = updateGitignore(frameworks, targetDir, { config, extraPatterns });
 
             if (result.updated) {
                 console.log(`✅ Updated .gitignore with ${result.added.length} new pattern(s)`);
@@ -214,6 +750,12 @@ async function main() {
                 }
             } else {
                 console.log('\n✅ Git hooks already installed');
+                const stale = HOOK_TYPES.filter(hook => hookStatus.hooks[hook].installed && hookStatus.hooks[hook].state !== 'current');
+                if (stale.length > 0) {
+                    console.log(`⚠️  ${hookStatus.reason}`);
+                    const force = stale.some(hook => hookStatus.hooks[hook].state === 'modified') ? ' --force' : '';
+                    console.log(`💡 Run \`npx secure-commit install --hooks ${stale.join(',')}${force}\` to upgrade them`);
+                }
             }
         } catch (error) {
             console.error(`❌ Failed to update .gitignore: ${error.message}`);
@@ -221,14 +763,21 @@ async function main() {
         }
     }
     else if (command === 'install') {
-        console.log('🪝 Installing git pre-commit hooks...\n');
+        const hooks = parseHookList(getFlagValue('--hooks'), ['pre-commit']);
+        console.log(`🪝 Installing git ${hooks.join(', ')} hook(s)...\n`);
         
         try {
             const hookStatus = checkHookInstallation(targetDir);
+            const installed = hooks.filter(hook => hookStatus.hooks[hook] && hookStatus.hooks[hook].installed);
+            const current = installed.filter(hook => hookStatus.hooks[hook].state === 'current');
+            
+            installed
+                .filter(hook => !current.includes(hook))
+                .forEach(hook => console.log(`⚠️  ${hook}: ${hookStatus.hooks[hook].reason}`));
             
-            if (hookStatus.installed) {
+            if (current.length === hooks.length) {
                 console.log('✅ Git hooks are already installed');
-                console.log(`📄 Hook file: ${hookStatus.hookPath}`);
+                current.forEach(hook => console.log(`📄 Hook file: ${hookStatus.hooks[hook].hookPath}`));
                 
                 if (hasFlag('--force')) {
                     console.log('🔄 Reinstalling due to --force flag...');
@@ -238,11 +787,14 @@ async function main() {
                 }
             }
             
-            const result = installHooks(targetDir, { force: hasFlag('--force') });
+            const result = installHooks(targetDir, { force: hasFlag('--force'), hooks });
             
             if (result.success) {
                 console.log('✅ Git hooks installed successfully!');
-                console.log(`📄 Hook installed at: ${result.hookPath}`);
+                result.hooks.forEach(hook => console.log(`📄 ${hook.hook}: ${hook.message} (${hook.hookPath})`));
+                if (result.note) {
+                    console.log(`💡 ${result.note}`);
+                }
                 console.log('\n🛡️  Your repository is now protected against secret commits');
                 console.log('💡 Test it by trying to commit a file with an API key');
             } else {
@@ -258,21 +810,24 @@ async function main() {
         }
     }
     else if (command === 'uninstall') {
-        console.log('🗑️  Uninstalling git pre-commit hooks...\n');
+        const hooks = parseHookList(getFlagValue('--hooks'), HOOK_TYPES);
+        console.log('🗑️  Uninstalling git hooks...\n');
         
         try {
             const hookStatus = checkHookInstallation(targetDir);
             
-            if (!hookStatus.installed) {
+            if (!hooks.some(hook => hookStatus.hooks[hook] && hookStatus.hooks[hook].installed)) {
                 console.log('ℹ️  No git hooks found to uninstall');
                 return;
             }
             
-            const result = uninstallHooks(targetDir);
+            const result = uninstallHooks(targetDir, { force: hasFlag('--force'), hooks });
             
             if (result.success) {
-                console.log('✅ Git hooks uninstalled successfully');
-                console.log('ℹ️  Your repository no longer has automatic secret protection');
+                console.log(`✅ Git hooks uninstalled successfully (${result.removed.join(', ')})`);
+                if (!checkHookInstallation(targetDir).installed) {
+                    console.log('ℹ️  Your repository no longer has automatic secret protection');
+                }
             } else {
                 console.log(`⚠️  Uninstallation completed with issues: ${result.message}`);
             }
@@ -285,16 +840,36 @@ async function main() {
     else {
         console.log('Usage:');
         console.log('  npx secure-commit scan            # Scan for secrets');
+        console.log('  npx secure-commit scan --history  # Scan every commit, commit message, note and tag annotation');
+        console.log('  npx secure-commit scan --history <range> # Scan commits in a range, e.g. main..feature');
+        console.log('  npx secure-commit scan --staged   # Scan only lines added in the index');
+        console.log('  npx secure-commit scan --since <ref>     # Scan lines added since branching off <ref>');
+        console.log('  npx secure-commit scan --diff <a>..<b>   # Scan lines added in a revision range');
+        console.log('  npx secure-commit scan --baseline # Report only findings missing from the baseline');
+        console.log('  npx secure-commit scan --show-suppressed # List findings silenced by secure-commit:ignore');
+        console.log('  npx secure-commit scan --format sarif --output results.sarif # Write a SARIF 2.1.0 report');
+        console.log('  npx secure-commit baseline create # Record current findings in ' + BASELINE_FILE);
+        console.log('  npx secure-commit rules           # List active detection rules');
+        console.log('  npx secure-commit rules --verify  # Check every rule against its positive and negative examples');
         console.log('  npx secure-commit install         # Install git pre-commit hooks');
-        console.log('  npx secure-commit uninstall       # Remove git pre-commit hooks');
+        console.log('  npx secure-commit install --hooks pre-commit,pre-push # Also scan every outgoing commit before a push');
+        console.log('  npx secure-commit uninstall       # Remove secure-commit git hooks');
         console.log('  npx secure-commit init            # Setup .gitignore and hooks');
         console.log('  npx secure-commit preview         # Preview .gitignore changes');
         console.log('  npx secure-commit clean           # Remove tracked sensitive files');
         console.log('  npx secure-commit clean --preview # Preview cleanup');
+        console.log('  npx secure-commit hook pre-commit # Scan staged files (run by the installed hook)');
+        console.log('  npx secure-commit hook pre-push <remote> # Scan commits listed on stdin (run by the installed hook)');
+        console.log('  npx secure-commit hook commit-msg <file> # Scan a commit message (run by the installed hook)');
         console.log('');
         console.log('Flags:');
-        console.log('  --force                           # Force reinstall/overwrite');
+        console.log('  --force                           # Force reinstall/overwrite (install keeps other hooks as <hook>.local), or remove edited hooks on uninstall');
+        console.log(`  --hooks <list>                    # Hook types to install or uninstall: ${HOOK_TYPES.join(', ')}`);
         console.log('  --preview, --dry-run              # Preview changes without applying');
+        console.log('  --no-ignore                       # Scan paths matched by .gitignore and .secure-commitignore too');
+        console.log('  --submodules                      # Also scan or clean checked-out submodules');
+        console.log('  --format <format>                 # Scan report: console (default), sarif, json, jsonl, junit, csv, html');
+        console.log('  --output <file>                   # Write the scan report to a file instead of stdout');
     }
 }
 
@@ -0,0 +1,125 @@
+// lib/assignments.js
+import path from 'path';
+import { isSecretKey, isLiteralValue, MASKED_VALUE } from './structured.js';
+import { shannonEntropy } from './entropy.js';
+
+const NAME = '(?<name>[A-Za-z_][\\w]*)';
+const STRING = '(?<quote>[\'"`])(?<value>(?:\\\\.|(?!\\k<quote>)[^\\\\])*)\\k<quote>';
+
+// `'password' => '...'` in PHP arrays and Ruby hashes
+const arrowKey = `(?<keyQuote>['"])${NAME}\\k<keyQuote>\\s*=>\\s*${STRING}`;
+
+/**
+ * Assignment and key/value syntax of each language, as regexes with `name`
+ * and `value` groups. The value must be a string literal right after the
+ * operator, so env and config lookups never match.
+ */
+const languages = [
+    {
+        extensions: ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs'],
+        patterns: [
+            // const apiSecret = '...', this.token = '...', apiKey: string = '...'
+            `(?<![\\w$])${NAME}(?:\\s*:\\s*[\\w<>[\\]| ]+)?\\s*=\\s*${STRING}`,
+            // { password: '...' } and { "password": '...' }
+            `(?<![\\w$])(?<keyQuote>['"]?)${NAME}\\k<keyQuote>\\s*:\\s*${STRING}`
+        ]
+    },
+    {
+        extensions: ['.py'],
+        patterns: [
+            // API_TOKEN = '...', self.token = '...', connect(password='...')
+            `(?<!\\w)${NAME}(?:\\s*:\\s*[\\w[\\], .]+)?\\s*=\\s*[rRbBuU]{0,2}${STRING}`,
+            // {'password': '...'}
+            `(?<keyQuote>['"])${NAME}\\k<keyQuote>\\s*:\\s*[rRbBuU]{0,2}${STRING}`
+        ]
+    },
+    {
+        extensions: ['.rb'],
+        patterns: [
+            // password = '...', @token = '...', API_KEY = '...'
+            `(?<![\\w:])@{0,2}${NAME}\\s*=\\s*${STRING}`,
+            // password: '...', :password => '...'
+            `(?<![\\w:]):?${NAME}(?::|\\s*=>)\\s*${STRING}`,
+            arrowKey
+        ]
+    },
+    {
+        extensions: ['.php'],
+        patterns: [
+            // $password = '...', $this->token = '...', const API_KEY = '...'
+            `(?:\\$|->|\\bconst\\s+)${NAME}\\s*=\\s*${STRING}`,
+            // define('API_KEY', '...')
+            `\\bdefine\\(\\s*(?<keyQuote>['"])${NAME}\\k<keyQuote>\\s*,\\s*${STRING}`,
+            arrowKey
+        ]
+    },
+    {
+        extensions: ['.java'],
+        patterns: [
+            // private static final String KEY = "...", password = "..."
+            `(?<!\\w)${NAME}\\s*=\\s*${STRING}`
+        ]
+    }
+].map(language => ({
+    extensions: language.extensions,
+    patterns: language.patterns.map(source => new RegExp(source, 'g'))
+}));
+
+// Constants named only KEY, SECRET or TOKEN, as in `static final String KEY`
+const bareConstant = /^(?:KEY|SECRET|TOKEN)$/;
+
+/**
+ * Names that end in a bare `key` (key, storageKey) are often not
+ * credentials, so their value must also look random. A constant named just
+ * `KEY` is always treated as one.
+ */
+function looksLikeCredential(name, value) {
+    if (isSecretKey(name) || bareConstant.test(name)) {
+        return true;
+    }
+
+    return /key$/i.test(name) &&
+        value.length >= 16 && /\d/.test(value) && shannonEntropy(value) >= 3.5;
+}
+
+/**
+ * Find string literals assigned to variables, fields, properties or keys
+ * whose name looks like a credential. Returns `[{ index, value, key, preview }]`
+ * where `key` is the variable name and `preview` masks the value.
+ */
+export function findAssignedSecrets(text, { file = '' } = {}) {
+    const ext = path.extname(file).toLowerCase();
+    const language = languages.find(entry => entry.extensions.includes(ext));
+
+    if (!language) {
+        return [];
+    }
+
+    const seen = new Set();
+    const results = [];
+
+    language.patterns.forEach(pattern => {
+        for (const match of text.matchAll(pattern)) {
+            const { name, quote, value } = match.groups;
+            const index = match.index + match[0].length - value.length - quote.length;
+
+            if (seen.has(index)) {
+                continue;
+            }
+            seen.add(index);
+
+            // Whitespace means a message or label, SCREAMING_CASE the name of an
+            // env variable, and the key's own name or a camelCase identifier a
+            // lookup table such as `{ getFirstToken: "getFirstToken" }`
+            if (/\s/.test(value) || /^[A-Z][A-Z0-9_]*$/.test(value) || value === name || /^[a-z]+(?:[A-Z][a-z]+)+$/.test(value)) {
+                continue;
+            }
+
+            if (isLiteralValue(value) && looksLikeCredential(name, value)) {
+                results.push({ index, value, key: name, preview: MASKED_VALUE });
+            }
+        }
+    });
+
+    return results;
+}
@@ -0,0 +1,108 @@
+// lib/baseline.js
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const BASELINE_FILE = '.secure-commit-baseline.json';
+export const BASELINE_VERSION = 1;
+
+/**
+ * Fingerprint a finding from its rule, file, secret value and the line it
+ * sits on. Line numbers are left out so the fingerprint survives code being
+ * added above it.
+ */
+export function fingerprintFinding(type, file, secret, context) {
+    return crypto
+        .createHash('sha256')
+        .update([type, file.split(path.sep).join('/'), secret, context.trim()].join('\0'))
+        .digest('hex');
+}
+
+/**
+ * Build a baseline from the current findings
+ */
+export function createBaseline(findings) {
+    const entries = new Map();
+
+    findings.forEach(finding => {
+        if (!entries.has(finding.fingerprint)) {
+            entries.set(finding.fingerprint, {
+                fingerprint: finding.fingerprint,
+                type: finding.type,
+                file: finding.file,
+                line: finding.line
+            });
+        }
+    });
+
+    return {
+        version: BASELINE_VERSION,
+        createdAt: new Date().toISOString(),
+        findings: Array.from(entries.values())
+    };
+}
+
+/**
+ * Write a baseline to the project root (or a custom path)
+ */
+export function writeBaseline(baseline, projectPath = '.', file = BASELINE_FILE) {
+    const baselinePath = path.resolve(projectPath, file);
+
+    try {
+        fs.writeFileSync(baselinePath, JSON.stringify(baseline, null, 2) + '\n', 'utf8');
+    } catch (error) {
+        throw new Error(`Failed to write baseline: ${error.message}`);
+    }
+
+    return baselinePath;
+}
+
+/**
+ * Load a baseline, returning null when the file does not exist
+ */
+export function loadBaseline(projectPath = '.', file = BASELINE_FILE) {
+    const baselinePath = path.resolve(projectPath, file);
+
+    if (!fs.existsSync(baselinePath)) {
+        return null;
+    }
+
+    let baseline;
+    try {
+        baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to read baseline ${file}: ${error.message}`);
+    }
+
+    if (!baseline || baseline.version !== BASELINE_VERSION || !Array.isArray(baseline.findings)) {
+        throw new Error(`Unsupported baseline format in ${file}, recreate it with \`secure-commit baseline create\``);
+    }
+
+    return baseline;
+}
+
+/**
+ * Split findings into new ones and ones already in the baseline. Baseline
+ * entries that matched nothing are returned as `stale` so they can be pruned.
+ */
+export function applyBaseline(findings, baseline) {
+    const known = new Set(baseline.findings.map(entry => entry.fingerprint));
+    const matched = new Set();
+    const newFindings = [];
+    const baselined = [];
+
+    findings.forEach(finding => {
+        if (known.has(finding.fingerprint)) {
+            matched.add(finding.fingerprint);
+            baselined.push(finding);
+        } else {
+            newFindings.push(finding);
+        }
+    });
+
+    return {
+        newFindings,
+        baselined,
+        stale: baseline.findings.filter(entry => !matched.has(entry.fingerprint))
+    };
+}
@@ -2,6 +2,8 @@ import { execSync, spawn } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import { findTrackedSensitiveFiles } from './detector.js';
+import { loadConfig } from './config.js';
+import { listSubmodules } from './git.js';
 
 /**
  * Check if current directory is a git repository
@@ -118,10 +120,39 @@ async function removeFileFromTracking(filePath, projectPath = '.') {
 }
 
 /**
- * Remove multiple files from git tracking with progress feedback
+ * Remove multiple files from git tracking with progress feedback. With
+ * `submodules`, files tracked by each submodule are removed from that
+ * submodule's index too, and reported with its path and a `submodule` label.
  */
 export async function removeTrackedSensitiveFiles(projectPath = '.', options = {}) {
-    const { dryRun = false, force = false } = options;
+    const { submodules = false, config = loadConfig(projectPath) } = options;
+    const results = await removeFromRepository(projectPath, { ...options, config });
+
+    if (!submodules) {
+        return results;
+    }
+
+    results.warnings = results.warnings || [];
+    for (const submodule of listSubmodules(projectPath)) {
+        const nested = await removeTrackedSensitiveFiles(path.join(projectPath, submodule), { ...options, config });
+        const label = entry => ({
+            ...entry,
+            file: `${submodule}/${entry.file}`,
+            submodule: entry.submodule ? `${submodule}/${entry.submodule}` : submodule
+        });
+
+        results.removed.push(...nested.removed.map(label));
+        results.skipped.push(...nested.skipped.map(label));
+        results.failed.push(...nested.failed.map(label));
+        results.warnings.push(...(nested.warnings || []).map(warning => `${submodule}: ${warning}`));
+        results.success = results.success && nested.success;
+    }
+
+    return results;
+}
+
+async function removeFromRepository(projectPath, options) {
+    const { dryRun = false, force = false, config } = options;
 
     // Validate git repository
     if (!isGitRepository(projectPath)) {
@@ -129,7 +160,7 @@ export async function removeTrackedSensitiveFiles(projectPath = '.', options = {
     }
 
     // Find tracked sensitive files
-    const trackedFiles = findTrackedSensitiveFiles(projectPath);
+    const trackedFiles = findTrackedSensitiveFiles(projectPath, { config });
 
     if (trackedFiles.length === 0) {
         return {
@@ -234,14 +265,16 @@ export async function removeTrackedSensitiveFiles(projectPath = '.', options = {
 /**
  * Preview what files would be removed without actually removing them
  */
-export function previewCleanup(projectPath = '.') {
+export function previewCleanup(projectPath = '.', options = {}) {
+    const { config = loadConfig(projectPath) } = options;
+
     if (!isGitRepository(projectPath)) {
         return {
             error: 'Not a git repository'
         };
     }
 
-    const trackedFiles = findTrackedSensitiveFiles(projectPath);
+    const trackedFiles = findTrackedSensitiveFiles(projectPath, { config });
 
     if (trackedFiles.length === 0) {
         return {
@@ -286,7 +319,24 @@ export function previewCleanup(projectPath = '.') {
 /**
  * Validate if cleanup is safe to perform
  */
-export function validateCleanupSafety(projectPath = '.') {
+export function validateCleanupSafety(projectPath = '.', options = {}) {
+    const { config = loadConfig(projectPath), submodules = false } = options;
+    const result = validateRepository(projectPath, config);
+
+    if (submodules && result.safe) {
+        listSubmodules(projectPath).forEach(submodule => {
+            const nested = validateCleanupSafety(path.join(projectPath, submodule), { config, submodules });
+            result.issues.push(...nested.issues.map(issue => `${submodule}: ${issue}`));
+            result.warnings.push(...nested.warnings.map(warning => `${submodule}: ${warning}`));
+            result.filesFound = (result.filesFound || 0) + (nested.filesFound || 0);
+            result.safe = result.safe && nested.safe;
+        });
+    }
+
+    return result;
+}
+
+function validateRepository(projectPath, config) {
     const issues = [];
     const warnings = [];
 
@@ -295,7 +345,7 @@ export function validateCleanupSafety(projectPath = '.') {
         return { safe: false, issues, warnings };
     }
 
-    const trackedFiles = findTrackedSensitiveFiles(projectPath);
+    const trackedFiles = findTrackedSensitiveFiles(projectPath, { config });
 
     if (trackedFiles.length === 0) {
         return {
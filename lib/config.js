@@ -0,0 +1,333 @@
+// lib/config.js
+import fs from 'fs';
+import path from 'path';
+import { secretPatterns, fileExtensions, ignoreDirs, sensitiveFiles } from './patterns.js';
+import { entropyDefaults } from './entropy.js';
+import { DEFAULT_DECODE_DEPTH } from './encodings.js';
+
+export const CONFIG_FILE = '.securecommitrc.json';
+export const PACKAGE_JSON_KEY = 'secure-commit';
+
+const severities = ['high', 'medium', 'low'];
+const knownKeys = ['rules', 'disableRules', 'overrides', 'fileExtensions', 'sensitiveFiles', 'ignoreDirs', 'exclude', 'entropy', 'decodeDepth', 'localHosts'];
+
+/**
+ * Convert a path glob (`*`, `**`, `?`) into a regular expression matching
+ * paths relative to the project root
+ */
+export function globToRegExp(glob) {
+    let source = '';
+    const normalized = glob.replace(/^\.\//, '').replace(/\/$/, '');
+
+    for (let i = 0; i < normalized.length; i++) {
+        const char = normalized[i];
+
+        if (char === '*' && normalized[i + 1] === '*') {
+            // "**/" matches zero or more directories, a trailing "**" matches everything
+            if (normalized[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    // Patterns without a slash match at any depth, like .gitignore
+    const anchored = normalized.includes('/');
+    return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}$`);
+}
+
+function fail(source, message) {
+    throw new Error(`Invalid secure-commit config in ${source}: ${message}`);
+}
+
+function assertStringArray(source, key, value) {
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item.trim() === '')) {
+        fail(source, `"${key}" must be an array of non-empty strings`);
+    }
+}
+
+function assertSeverity(source, key, value) {
+    if (!severities.includes(value)) {
+        fail(source, `"${key}" must be one of ${severities.join(', ')} (got ${JSON.stringify(value)})`);
+    }
+}
+
+/**
+ * Validate a raw config object, throwing an error that names the offending key
+ */
+export function validateConfig(raw, source = CONFIG_FILE) {
+    if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+        fail(source, 'config must be a JSON object');
+    }
+
+    Object.keys(raw).forEach(key => {
+        if (!knownKeys.includes(key)) {
+            fail(source, `unknown key "${key}" (expected one of ${knownKeys.join(', ')})`);
+        }
+    });
+
+    if (raw.rules !== undefined) {
+        if (raw.rules === null || typeof raw.rules !== 'object' || Array.isArray(raw.rules)) {
+            fail(source, '"rules" must be an object keyed by rule id');
+        }
+
+        Object.entries(raw.rules).forEach(([id, rule]) => {
+            const key = `rules.${id}`;
+
+            if (!/^[a-z0-9_.-]+$/i.test(id)) {
+                fail(source, `"${key}" rule ids may only contain letters, digits, ".", "_" and "-"`);
+            }
+            if (secretPatterns[id]) {
+                fail(source, `"${key}" clashes with a built-in rule, use "overrides.${id}" to change it`);
+            }
+            if (rule === null || typeof rule !== 'object') {
+                fail(source, `"${key}" must be an object`);
+            }
+            if (typeof rule.pattern !== 'string' || rule.pattern === '') {
+                fail(source, `"${key}.pattern" must be a non-empty regular expression string`);
+            }
+            if (rule.flags !== undefined && (typeof rule.flags !== 'string' || !/^[imsu]*$/.test(rule.flags))) {
+                fail(source, `"${key}.flags" may only contain the regex flags i, m, s and u`);
+            }
+            try {
+                new RegExp(rule.pattern, rule.flags || '');
+            } catch (error) {
+                fail(source, `"${key}.pattern" is not a valid regular expression: ${error.message}`);
+            }
+            if (typeof rule.description !== 'string' || rule.description === '') {
+                fail(source, `"${key}.description" must be a non-empty string`);
+            }
+            if (rule.suggestion !== undefined && typeof rule.suggestion !== 'string') {
+                fail(source, `"${key}.suggestion" must be a string`);
+            }
+            if (rule.severity !== undefined) {
+                assertSeverity(source, `${key}.severity`, rule.severity);
+            }
+            if (rule.examples !== undefined) {
+                if (rule.examples === null || typeof rule.examples !== 'object' || Array.isArray(rule.examples)) {
+                    fail(source, `"${key}.examples" must be an object with "positive" and/or "negative" arrays`);
+                }
+                ['positive', 'negative'].forEach(kind => {
+                    if (rule.examples[kind] !== undefined) {
+                        assertStringArray(source, `${key}.examples.${kind}`, rule.examples[kind]);
+                    }
+                });
+            }
+        });
+    }
+
+    if (raw.disableRules !== undefined) {
+        assertStringArray(source, 'disableRules', raw.disableRules);
+        raw.disableRules.forEach(id => {
+            if (!secretPatterns[id]) {
+                fail(source, `"disableRules" names unknown built-in rule "${id}"`);
+            }
+        });
+    }
+
+    if (raw.overrides !== undefined) {
+        if (raw.overrides === null || typeof raw.overrides !== 'object' || Array.isArray(raw.overrides)) {
+            fail(source, '"overrides" must be an object keyed by rule id');
+        }
+
+        Object.entries(raw.overrides).forEach(([id, override]) => {
+            const key = `overrides.${id}`;
+
+            if (!secretPatterns[id]) {
+                fail(source, `"${key}" names unknown built-in rule "${id}"`);
+            }
+            if (override === null || typeof override !== 'object') {
+                fail(source, `"${key}" must be an object`);
+            }
+            Object.keys(override).forEach(field => {
+                if (!['severity', 'suggestion', 'onInvalid'].includes(field)) {
+                    fail(source, `"${key}.${field}" cannot be overridden (only severity, suggestion and onInvalid)`);
+                }
+            });
+            if (override.onInvalid !== undefined) {
+                if (!secretPatterns[id].validate) {
+                    fail(source, `"${key}.onInvalid" only applies to rules with a validator`);
+                }
+                if (!['drop', 'downgrade'].includes(override.onInvalid)) {
+                    fail(source, `"${key}.onInvalid" must be "drop" or "downgrade" (got ${JSON.stringify(override.onInvalid)})`);
+                }
+            }
+            if (override.severity !== undefined) {
+                assertSeverity(source, `${key}.severity`, override.severity);
+            }
+            if (override.suggestion !== undefined && typeof override.suggestion !== 'string') {
+                fail(source, `"${key}.suggestion" must be a string`);
+            }
+        });
+    }
+
+    ['sensitiveFiles', 'ignoreDirs', 'exclude', 'localHosts'].forEach(key => {
+        if (raw[key] !== undefined) {
+            assertStringArray(source, key, raw[key]);
+        }
+    });
+
+    if (raw.fileExtensions !== undefined) {
+        assertStringArray(source, 'fileExtensions', raw.fileExtensions);
+        raw.fileExtensions.forEach(ext => {
+            if (!/^\.[^./\\]+$/.test(ext)) {
+                fail(source, `"fileExtensions" entry "${ext}" must look like ".tf"`);
+            }
+        });
+    }
+
+    if (raw.entropy !== undefined) {
+        if (raw.entropy === null || typeof raw.entropy !== 'object' || Array.isArray(raw.entropy)) {
+            fail(source, '"entropy" must be an object');
+        }
+
+        const limits = { base64Threshold: 6, hexThreshold: 4 };
+        Object.entries(raw.entropy).forEach(([field, value]) => {
+            const key = `entropy.${field}`;
+
+            if (field === 'minLength') {
+                if (!Number.isInteger(value) || value < 8) {
+                    fail(source, `"${key}" must be an integer of at least 8`);
+                }
+            } else if (limits[field] !== undefined) {
+                if (typeof value !== 'number' || value <= 0 || value > limits[field]) {
+                    fail(source, `"${key}" must be a number above 0 and at most ${limits[field]}`);
+                }
+            } else {
+                fail(source, `unknown key "${key}" (expected base64Threshold, hexThreshold or minLength)`);
+            }
+        });
+    }
+
+    if (raw.decodeDepth !== undefined) {
+        if (!Number.isInteger(raw.decodeDepth) || raw.decodeDepth < 0 || raw.decodeDepth > 5) {
+            fail(source, '"decodeDepth" must be an integer from 0 to 5');
+        }
+    }
+
+    return raw;
+}
+
+/**
+ * Merge a validated config over the built-in rules and lists
+ */
+export function resolveConfig(raw = {}, source = null) {
+    const disabled = raw.disableRules || [];
+    const overrides = raw.overrides || {};
+    const rules = {};
+
+    Object.entries(secretPatterns).forEach(([id, rule]) => {
+        if (!disabled.includes(id)) {
+            rules[id] = { ...rule, ...overrides[id] };
+        }
+    });
+
+    Object.entries(raw.rules || {}).forEach(([id, rule]) => {
+        rules[id] = {
+            pattern: new RegExp(rule.pattern, `${rule.flags || ''}g`),
+            description: rule.description,
+            severity: rule.severity || 'medium',
+            suggestion: rule.suggestion || 'Move to .env file',
+            examples: rule.examples
+        };
+    });
+
+    const exclude = raw.exclude || [];
+    const allSensitiveFiles = [...sensitiveFiles, ...(raw.sensitiveFiles || [])];
+
+    return {
+        source,
+        rules,
+        fileExtensions: [...fileExtensions, ...(raw.fileExtensions || [])],
+        sensitiveFiles: allSensitiveFiles,
+        ignoreDirs: [...ignoreDirs, ...(raw.ignoreDirs || [])],
+        exclude,
+        excludeMatchers: exclude.map(globToRegExp),
+        sensitiveMatchers: allSensitiveFiles.map(globToRegExp),
+        extraSensitiveFiles: raw.sensitiveFiles || [],
+        entropy: { ...entropyDefaults, ...raw.entropy },
+        decodeDepth: raw.decodeDepth ?? DEFAULT_DECODE_DEPTH,
+        localHosts: raw.localHosts || []
+    };
+}
+
+/**
+ * The built-in configuration, used when no project config is given
+ */
+export const defaultConfig = resolveConfig();
+
+function readJson(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid secure-commit config in ${path.basename(filePath)}: ${error.message}`);
+    }
+}
+
+/**
+ * Load `.securecommitrc.json`, or the "secure-commit" key in package.json,
+ * from the project root. Returns the built-in defaults when neither exists.
+ */
+export function loadConfig(projectPath = '.') {
+    const rcPath = path.join(projectPath, CONFIG_FILE);
+    if (fs.existsSync(rcPath)) {
+        return resolveConfig(validateConfig(readJson(rcPath), CONFIG_FILE), rcPath);
+    }
+
+    const packagePath = path.join(projectPath, 'package.json');
+    if (fs.existsSync(packagePath)) {
+        let pkg;
+        try {
+            pkg = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
+        } catch (error) {
+            // A broken package.json is not ours to report
+            return defaultConfig;
+        }
+
+        if (pkg && pkg[PACKAGE_JSON_KEY] !== undefined) {
+            const source = `package.json "${PACKAGE_JSON_KEY}"`;
+            return resolveConfig(validateConfig(pkg[PACKAGE_JSON_KEY], source), packagePath);
+        }
+    }
+
+    return defaultConfig;
+}
+
+/**
+ * Check whether a project-relative path, or any directory above it, is
+ * excluded by the config
+ */
+export function isExcluded(filePath, config = defaultConfig) {
+    if (config.excludeMatchers.length === 0) {
+        return false;
+    }
+
+    const segments = filePath.split(path.sep).join('/').replace(/^\.\//, '').split('/');
+
+    for (let i = 1; i <= segments.length; i++) {
+        const candidate = segments.slice(0, i).join('/');
+        if (config.excludeMatchers.some(matcher => matcher.test(candidate))) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Check whether a project-relative path matches one of the sensitive file
+ * patterns, such as `.env*` or `*.pem`
+ */
+export function isSensitiveFile(filePath, config = defaultConfig) {
+    const normalized = filePath.split(path.sep).join('/').replace(/^\.\//, '');
+    return config.sensitiveMatchers.some(matcher => matcher.test(normalized));
+}
@@ -0,0 +1,100 @@
+// lib/databases.js
+import { isPlaceholderValue } from './structured.js';
+
+const schemes = 'mongodb(?:\\+srv)?|postgres(?:ql)?|mysql|mariadb|redis|rediss|amqps?|mssql|sqlserver';
+
+// scheme://..., optionally behind jdbc:, or Oracle's jdbc:oracle:thin:user/password@host
+const connectionUrl = new RegExp(`\\b(?:jdbc:)?(?:${schemes}):\\/\\/[^\\s'"\`<>]+|\\bjdbc:oracle:thin:[^\\s'"\`<>]+`, 'gi');
+
+const MAX_PREVIEW_LENGTH = 80;
+
+/**
+ * Find the password in a connection URL, from the user info
+ * (`user:password@host`), a `password=` or `pwd=` parameter (JDBC and SQL
+ * Server style) or Oracle's `user/password@host`. Returns its offset and
+ * the host part.
+ */
+function findPassword(url) {
+    const oracle = url.match(/^jdbc:oracle:thin:([^/@]*)\/([^@]*)@(.*)$/i);
+    if (oracle) {
+        return { start: url.indexOf('/') + 1, password: oracle[2], hosts: oracle[3].replace(/^\/\//, '').split(/[/:?]/)[0] };
+    }
+
+    const authorityStart = url.indexOf('//') + 2;
+    const authorityEnd = url.slice(authorityStart).search(/[/?#;]|$/) + authorityStart;
+    const authority = url.slice(authorityStart, authorityEnd);
+    const at = authority.lastIndexOf('@');
+    const hosts = authority.slice(at + 1);
+
+    if (at !== -1) {
+        const colon = authority.indexOf(':');
+        if (colon !== -1 && colon < at) {
+            return { start: authorityStart + colon + 1, password: authority.slice(colon + 1, at), hosts };
+        }
+    }
+
+    const parameter = url.slice(authorityEnd).match(/[?&;](?:password|pwd)=([^&;]*)/i);
+    if (parameter) {
+        const start = authorityEnd + parameter.index + parameter[0].length - parameter[1].length;
+        return { start, password: parameter[1], hosts };
+    }
+
+    return null;
+}
+
+/**
+ * Loopback names and addresses, plus the `localHosts` from the config, such
+ * as a docker-compose service called `db`. Other single-label names can be
+ * real servers, e.g. `prod`.
+ */
+function isLocalHost(host, localHosts) {
+    // IPv6 addresses are bracketed: [::1]:5432
+    const bracketed = host.match(/^\[([^\]]+)\]/);
+    const name = (bracketed ? bracketed[1] : host.replace(/:\d+$/, '')).toLowerCase();
+
+    return name === 'localhost' ||
+        name === '::1' ||
+        name === '0.0.0.0' ||
+        /^127\.\d+\.\d+\.\d+$/.test(name) ||
+        name.endsWith('.localhost') ||
+        localHosts.includes(name);
+}
+
+function decodeURIComponentSafe(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * Database and message broker URLs that contain a literal password.
+ * Matches on local hosts are marked `downgrade`, and the `preview` shows the
+ * URL with the password masked so reviewers can still see the host.
+ */
+export function findDatabaseUrls(text, { config = {} } = {}) {
+    const localHosts = (config.localHosts || []).map(host => host.toLowerCase());
+    const results = [];
+
+    for (const match of text.matchAll(connectionUrl)) {
+        const url = match[0].replace(/[),.;]+$/, '');
+        const found = findPassword(url);
+
+        if (!found || found.password === '' || isPlaceholderValue(decodeURIComponentSafe(found.password))) {
+            continue;
+        }
+
+        const redacted = url.slice(0, found.start) + '****' + url.slice(found.start + found.password.length);
+        const hosts = found.hosts.split(',').filter(Boolean);
+
+        results.push({
+            index: match.index,
+            value: url,
+            preview: redacted.length > MAX_PREVIEW_LENGTH ? redacted.slice(0, MAX_PREVIEW_LENGTH) + '...' : redacted,
+            downgrade: hosts.length > 0 && hosts.every(host => isLocalHost(host, localHosts))
+        });
+    }
+
+    return results;
+}
@@ -1,6 +1,12 @@
 import fs from 'fs';
 import path from 'path';
-import { secretPatterns, fileExtensions, ignoreDirs, sensitiveFiles } from './patterns.js';
+import { defaultConfig, loadConfig, isExcluded, isSensitiveFile } from './config.js';
+import { runGit, getStagedFiles, readStagedFile, getDiff, getMergeBase, assertRevision, getGitPath, listSubmodules } from './git.js';
+import { parseDiff } from './diff.js';
+import { fingerprintFinding, BASELINE_FILE } from './baseline.js';
+import { parseSuppression, suppressionApplies } from './suppressions.js';
+import { GitignoreFile, IgnoreMatcher, SECURE_COMMIT_IGNORE_FILE, suggestGitignoreLine } from './gitignore.js';
+import { findEncodedSegments, DEFAULT_DECODE_DEPTH } from './encodings.js';
 
 export function detectFramework(projectPath = '.') {
     const frameworks = [];
@@ -36,75 +42,416 @@ export function detectFramework(projectPath = '.') {
     return frameworks.length > 0 ? frameworks : ['generic'];
 }
 
-export function shouldScanFile(filePath) {
+/**
+ * Check whether a project-relative path should be scanned
+ */
+export function shouldScanFile(filePath, config = defaultConfig) {
     const ext = path.extname(filePath);
     const fileName = path.basename(filePath);
 
+    // The baseline holds fingerprints of findings, never the secrets
+    if (isExcluded(filePath, config) || fileName === BASELINE_FILE) {
+        return false;
+    }
+
     // Always scan .env files
     if (fileName.startsWith('.env')) {
         return true;
     }
 
     // Check file extensions
-    return fileExtensions.includes(ext);
+    return config.fileExtensions.includes(ext);
 }
 
-export function shouldIgnoreDir(dirName) {
-    return ignoreDirs.includes(dirName);
+export function shouldIgnoreDir(dirName, config = defaultConfig) {
+    return config.ignoreDirs.includes(dirName);
 }
 
-export function scanFileForSecrets(filePath) {
-    try {
-        const content = fs.readFileSync(filePath, 'utf8');
-        const lines = content.split('\n');
-        const findings = [];
-
-        for (const [secretType, config] of Object.entries(secretPatterns)) {
-            lines.forEach((line, lineNumber) => {
-                const matches = [...line.matchAll(config.pattern)];
-
-                matches.forEach(match => {
-                    findings.push({
-                        file: path.relative('.', filePath),
-                        line: lineNumber + 1,
-                        type: secretType,
-                        description: config.description,
-                        suggestion: config.suggestion,
-                        match: match[0].substring(0, 12) + '...', // Show first 12 chars
-                        severity: getSeverity(secretType)
-                    });
+/**
+ * Find the suppression comment covering a line: one on the line itself, or an
+ * ignore-next-line comment on the line directly above it
+ */
+function findSuppression(lines, suppressions, index, file) {
+    const sameLine = suppressions[index];
+    if (sameLine && !sameLine.nextLine) {
+        return sameLine;
+    }
+
+    const { line, previousText } = lines[index];
+    let previous = null;
+
+    if (index > 0 && lines[index - 1].line === line - 1) {
+        previous = suppressions[index - 1];
+    } else if (previousText !== undefined) {
+        previous = parseSuppression(previousText, file);
+    }
+
+    return previous && previous.nextLine ? previous : null;
+}
+
+const downgradedSeverity = {
+    high: 'medium',
+    medium: 'low',
+    low: 'low'
+};
+
+/**
+ * Run a rule over a list of lines. Rules have one of:
+ * - `pattern`, a global regex run on each line
+ * - `detect(text, { config, file })`, run on each line
+ * - `analyze(lines, { config, file })`, run once over all lines
+ *
+ * All yield `{ lineIndex, index, value }`, optionally with a `key` naming the
+ * key path or variable that holds the value, an `endLineIndex` for matches
+ * that span several lines, a `preview` to show instead of the value, and
+ * `downgrade` when the detector judged the match one severity less risky.
+ */
+function collectMatches(rule, lines, context) {
+    if (rule.analyze) {
+        return rule.analyze(lines, context);
+    }
+
+    return lines.flatMap(({ text }, lineIndex) => {
+        const matches = rule.detect
+            ? rule.detect(text, context)
+            : [...text.matchAll(rule.pattern)].map(match => ({ index: match.index, value: match[0] }));
+        return matches.map(match => ({ ...match, lineIndex }));
+    });
+}
+
+/**
+ * Run rules over a list of lines, skipping spans an earlier rule already
+ * claimed, and return `{ secretType, rule, match, severity, confidence }`
+ * for every match that passes validation
+ */
+function matchRules(rules, lines, context, claimed) {
+    const results = [];
+
+    for (const [secretType, rule] of rules) {
+        collectMatches(rule, lines, context).forEach(match => {
+            const { lineIndex, endLineIndex = lineIndex } = match;
+            const start = match.index;
+            const end = endLineIndex === lineIndex ? match.index + match.value.length : Infinity;
+
+            if (claimed.some(span => span.lineIndex === lineIndex && start < span.end && span.start < end)) {
+                return;
+            }
+            claimed.push({ lineIndex, start, end });
+
+            // A multi-line match covers every line up to its last one
+            for (let covered = lineIndex + 1; covered <= endLineIndex; covered++) {
+                const lastLine = covered === endLineIndex;
+                claimed.push({ lineIndex: covered, start: 0, end: lastLine ? match.value.length - match.value.lastIndexOf('\n') - 1 : Infinity });
+            }
+
+            // Offline validation: failures are dropped or downgraded, but still
+            // claim their span so a generic rule doesn't report them instead
+            let severity = match.downgrade ? downgradedSeverity[rule.severity] : rule.severity;
+            let confidence;
+            if (rule.validate) {
+                if (rule.validate(match.value)) {
+                    confidence = 'validated';
+                } else if (rule.onInvalid === 'downgrade') {
+                    severity = downgradedSeverity[severity];
+                    confidence = 'unverified';
+                } else {
+                    return;
+                }
+            }
+
+            results.push({ secretType, rule, match, severity, confidence });
+        });
+    }
+
+    return results;
+}
+
+/**
+ * Decode base64, hex and percent-encoded segments and run every rule over
+ * the decoded text, peeling off up to `depth` layers. Matches are moved onto
+ * the encoded segment in the original line and carry the `encoding` chain,
+ * outermost first. A segment is claimed only when its decoded text matched.
+ */
+function matchEncoded(rules, lines, context, claimed, depth) {
+    const results = [];
+
+    lines.forEach(({ text }, lineIndex) => {
+        findEncodedSegments(text).forEach(segment => {
+            const start = segment.index;
+            const end = start + segment.value.length;
+
+            if (claimed.some(span => span.lineIndex === lineIndex && start < span.end && span.start < end)) {
+                return;
+            }
+
+            const decodedLines = segment.decoded.split('\n').map((decodedText, index) => ({ line: index + 1, text: decodedText }));
+            const inner = matchLayers(rules, decodedLines, context, [], depth - 1);
+
+            if (inner.length === 0) {
+                return;
+            }
+            claimed.push({ lineIndex, start, end });
+
+            inner.forEach(result => {
+                results.push({
+                    ...result,
+                    match: { ...result.match, lineIndex, endLineIndex: lineIndex, index: start, length: segment.value.length },
+                    encoding: [segment.encoding, ...(result.encoding || [])]
                 });
             });
+        });
+    });
+
+    return results;
+}
+
+/**
+ * Specific rules first, then decoded content, then generic rules, so a
+ * decoded secret is reported instead of its encoded form looking random
+ */
+function matchLayers(rules, lines, context, claimed, depth) {
+    const specific = rules.filter(([, rule]) => !rule.generic);
+    const generic = rules.filter(([, rule]) => rule.generic);
+
+    return [
+        ...matchRules(specific, lines, context, claimed),
+        ...(depth > 0 ? matchEncoded(rules, lines, context, claimed, depth) : []),
+        ...matchRules(generic, lines, context, claimed)
+    ];
+}
+
+/**
+ * Run every rule over a list of `{ line, text }` entries. Line numbers are
+ * taken from the entries, so callers can pass a subset of a file such as the
+ * added lines of a diff (with `previousText` holding the line above each one).
+ *
+ * Findings covered by a `secure-commit:ignore` comment are dropped, or kept
+ * with a `suppressed` marker when `includeSuppressed` is set. Suppressions
+ * without a reason are not honoured and are reported as findings themselves.
+ */
+export function scanLines(lines, file, config = defaultConfig, options = {}) {
+    const { includeSuppressed = false } = options;
+    const findings = [];
+    const suppressions = lines.map(({ text }) => parseSuppression(text, file));
+
+    suppressions.forEach((suppression, index) => {
+        if (suppression && !suppression.reason) {
+            const { line, text } = lines[index];
+            findings.push({
+                file,
+                line,
+                type: 'suppression_without_reason',
+                description: 'Suppression comment without a justification',
+                suggestion: 'Explain why this is safe: secure-commit:ignore <rule> -- <reason>',
+                match: suppression.comment.substring(0, 40),
+                severity: 'medium',
+                fingerprint: fingerprintFinding('suppression_without_reason', file, suppression.comment, text)
+            });
+        }
+    });
+
+    // Each secret is reported once, by the first rule that matches it
+    const rules = Object.entries(config.rules);
+    const depth = config.decodeDepth ?? DEFAULT_DECODE_DEPTH;
+
+    matchLayers(rules, lines, { config, file }, [], depth).forEach(({ secretType, rule, match, severity, confidence, encoding }) => {
+        const { lineIndex, endLineIndex = lineIndex } = match;
+        const { line, text } = lines[lineIndex];
+        const suppression = findSuppression(lines, suppressions, lineIndex, file);
+        const suppressed = suppression && suppression.reason && suppressionApplies(suppression, secretType);
+
+        if (suppressed && !includeSuppressed) {
+            return;
         }
 
-        return findings;
+        const finding = {
+            file,
+            line,
+            column: match.index + 1,
+            length: match.length ?? match.value.length,
+            type: secretType,
+            description: rule.description,
+            suggestion: rule.suggestion,
+            match: match.preview || match.value.substring(0, 12) + '...', // Show first 12 chars
+            severity,
+            fingerprint: fingerprintFinding(secretType, file, match.value, text)
+        };
+
+        if (confidence) {
+            finding.confidence = confidence;
+        }
+
+        if (endLineIndex !== lineIndex) {
+            finding.endLine = lines[endLineIndex].line;
+        }
+
+        if (match.key) {
+            finding.key = match.key;
+        }
+
+        if (encoding) {
+            finding.encoding = encoding;
+        }
+
+        if (suppressed) {
+            finding.suppressed = { reason: suppression.reason, comment: suppression.comment };
+        }
+
+        findings.push(finding);
+    });
+
+    return findings;
+}
+
+export function scanContent(content, file, config = defaultConfig, options = {}) {
+    const lines = content.split('\n').map((text, index) => ({ line: index + 1, text }));
+    return scanLines(lines, file, config, options);
+}
+
+/**
+ * Run the positive and negative examples of every rule through scanContent
+ * with the full rule set, so a rule that is shadowed by an earlier one fails
+ * too. Returns the examples that did not behave as expected.
+ */
+export function verifyRuleExamples(config = defaultConfig) {
+    const failures = [];
+
+    Object.entries(config.rules).forEach(([id, rule]) => {
+        const { positive = [], negative = [] } = rule.examples || {};
+        const cases = [
+            ...positive.map(example => ({ example, expected: true })),
+            ...negative.map(example => ({ example, expected: false }))
+        ];
+
+        cases.forEach(({ example, expected }) => {
+            const { file = 'example.txt', text } = typeof example === 'string' ? { text: example } : example;
+            const reported = scanContent(text, file, config).some(finding => finding.type === id);
+
+            if (reported !== expected) {
+                failures.push({ rule: id, expected: expected ? 'positive' : 'negative', file, text });
+            }
+        });
+    });
+
+    return failures;
+}
+
+export function scanFileForSecrets(filePath, config = defaultConfig, options = {}) {
+    try {
+        const content = fs.readFileSync(filePath, 'utf8');
+        return scanContent(content, path.relative('.', filePath), config, options);
     } catch (error) {
         console.warn(`⚠️  Could not read file: ${filePath} - ${error.message}`);
         return [];
     }
 }
 
-export function findTrackedSensitiveFiles(projectPath = '.') {
+/**
+ * Filter for paths listed in .secure-commitignore files, for scans that read
+ * files from git rather than walking the working tree
+ */
+export function createScanIgnoreFilter(projectPath = '.', respectIgnore = true) {
+    if (!respectIgnore) {
+        return () => false;
+    }
+
+    const matcher = new IgnoreMatcher(projectPath, [SECURE_COMMIT_IGNORE_FILE]);
+    return file => matcher.isIgnored(file);
+}
+
+/**
+ * Scan the staged blob of every staged file, so partially staged files are
+ * checked against what will actually be committed
+ */
+export function scanStagedFiles(projectPath = '.', options = {}) {
+    const { config = loadConfig(projectPath), respectIgnore = true } = options;
+    const isIgnored = createScanIgnoreFilter(projectPath, respectIgnore);
+    const findings = [];
+    let filesChecked = 0;
+
+    const files = getStagedFiles(projectPath).filter(file => shouldScanFile(file, config) && !isIgnored(file));
+
+    files.forEach(file => {
+        let content;
+        try {
+            content = readStagedFile(file, projectPath);
+        } catch (error) {
+            console.warn(`⚠️  Could not read staged file: ${file} - ${error.message}`);
+            return;
+        }
+
+        // Skip binary blobs
+        if (content.includes('\0')) {
+            return;
+        }
+
+        filesChecked++;
+        findings.push(...scanContent(content, file, config));
+    });
+
+    return { findings, filesChecked };
+}
+
+/**
+ * Scan only the lines added by a diff, so secrets that already exist in
+ * untouched lines don't block unrelated work. Exactly one of the options
+ * selects the diff:
+ *   - staged: changes in the index
+ *   - since: everything introduced since HEAD branched off `since`,
+ *     including uncommitted changes to tracked files
+ *   - range: any `git diff` revision range, e.g. `main..feature`
+ * Suppressed findings are dropped unless `includeSuppressed` is set.
+ */
+export function scanDiff(projectPath = '.', options = {}) {
+    const {
+        staged = false,
+        since = null,
+        range = null,
+        config = loadConfig(projectPath),
+        respectIgnore = true,
+        includeSuppressed = false
+    } = options;
+    const isIgnored = createScanIgnoreFilter(projectPath, respectIgnore);
+    let diffArgs;
+
+    if (staged) {
+        diffArgs = ['--cached'];
+    } else if (since) {
+        diffArgs = [getMergeBase(since, projectPath)];
+    } else if (range) {
+        diffArgs = [assertRevision(range)];
+    } else {
+        throw new Error('scanDiff needs one of: staged, since, range');
+    }
+
+    const files = parseDiff(getDiff(diffArgs, projectPath))
+        .filter(({ file }) => shouldScanFile(file, config) && !isIgnored(file));
+    const findings = [];
+
+    files.forEach(({ file, addedLines }) => {
+        findings.push(...scanLines(addedLines, file, config, { includeSuppressed }));
+    });
+
+    return {
+        findings,
+        filesChecked: files.length
+    };
+}
+
+/**
+ * Tracked files that match a sensitive pattern. With `submodules`, files
+ * tracked by submodules are included, prefixed with the submodule's path.
+ */
+export function findTrackedSensitiveFiles(projectPath = '.', options = {}) {
+    const { config = loadConfig(projectPath), submodules = false } = options;
     const trackedFiles = [];
 
     try {
-        const { execSync } = require('child_process');
-        const gitFiles = execSync('git ls-files', {
-            cwd: projectPath,
-            encoding: 'utf8'
-        }).split('\n').filter(Boolean);
+        const gitFiles = runGit(['ls-files'], projectPath).split('\n').filter(Boolean);
 
         // Check if any tracked files match sensitive patterns
         gitFiles.forEach(file => {
-            const fileName = path.basename(file);
-
-            if (sensitiveFiles.some(pattern => {
-                if (pattern.includes('*')) {
-                    const regex = new RegExp(pattern.replace('*', '.*'));
-                    return regex.test(fileName);
-                }
-                return fileName === pattern;
-            })) {
+            if (isSensitiveFile(file, config)) {
                 trackedFiles.push(file);
             }
         });
@@ -114,11 +461,102 @@ export function findTrackedSensitiveFiles(projectPath = '.') {
         return [];
     }
 
+    if (submodules) {
+        listSubmodules(projectPath).forEach(submodule => {
+            findTrackedSensitiveFiles(path.join(projectPath, submodule), { config, submodules })
+                .forEach(file => trackedFiles.push(`${submodule}/${file}`));
+        });
+    }
+
     return trackedFiles;
 }
 
-export function scanDirectory(dirPath = '.') {
+/**
+ * Find sensitive files that are neither tracked nor ignored, so the next
+ * `git add .` would commit them. Each comes with the .gitignore line that
+ * would cover it (null if only a nested .gitignore can).
+ */
+export function findUntrackedSensitiveFiles(projectPath = '.', options = {}) {
+    const { config = loadConfig(projectPath) } = options;
+    let untracked;
+
+    try {
+        untracked = runGit(['ls-files', '--others', '--exclude-standard', '-z'], projectPath)
+            .split('\0')
+            .filter(Boolean);
+    } catch (error) {
+        // Not a git repo or git not available
+        return [];
+    }
+
+    const gitignore = new GitignoreFile(path.join(projectPath, '.gitignore'));
+
+    return untracked
+        .filter(file => isSensitiveFile(file, config))
+        .map(file => ({
+            file,
+            gitignoreLine: suggestGitignoreLine(file, projectPath, { config, gitignore })
+        }));
+}
+
+/**
+ * Build the skip rules for a directory walk. Paths matched by .gitignore
+ * are skipped unless git already tracks them (a force-added file is still
+ * committed), while .secure-commitignore always skips, since it is meant for
+ * committed files such as test fixtures.
+ */
+function createWalkFilter(dirPath) {
+    let excludeFiles = [];
+    try {
+        excludeFiles = [getGitPath('info/exclude', dirPath)];
+    } catch (error) {
+        // Not a git repository - there is no exclude file
+    }
+
+    const gitignore = new IgnoreMatcher(dirPath, ['.gitignore'], { excludeFiles });
+    const scanIgnore = new IgnoreMatcher(dirPath, [SECURE_COMMIT_IGNORE_FILE]);
+
+    const tracked = new Set();
+    const trackedDirs = new Set();
+    try {
+        runGit(['ls-files', '-z'], dirPath).split('\0').filter(Boolean).forEach(file => {
+            tracked.add(file);
+            const segments = file.split('/');
+            for (let i = 1; i < segments.length; i++) {
+                trackedDirs.add(segments.slice(0, i).join('/'));
+            }
+        });
+    } catch (error) {
+        // Not a git repository - nothing is tracked
+    }
+
+    return {
+        skipDir(relPath) {
+            return scanIgnore.isIgnored(relPath, true) ||
+                (gitignore.isIgnored(relPath, true) && !trackedDirs.has(relPath));
+        },
+        skipFile(relPath) {
+            return scanIgnore.isIgnored(relPath) ||
+                (gitignore.isIgnored(relPath) && !tracked.has(relPath));
+        }
+    };
+}
+
+/**
+ * Scan every file under a directory. Submodules are separate repositories
+ * and are skipped, unless `submodules` is set: then each is scanned with the
+ * same config and its findings carry a `submodule` label with its path.
+ */
+export function scanDirectory(dirPath = '.', options = {}) {
+    const {
+        config = loadConfig(dirPath),
+        includeSuppressed = false,
+        respectIgnore = true,
+        submodules = false
+    } = options;
     const allFindings = [];
+    const filter = respectIgnore ? createWalkFilter(dirPath) : null;
+    const submodulePaths = listSubmodules(dirPath);
 
     function scanRecursive(currentPath) {
         try {
@@ -126,16 +564,19 @@ export function scanDirectory(dirPath = '.') {
 
             for (const item of items) {
                 const fullPath = path.join(currentPath, item);
+                const relativePath = path.relative(dirPath, fullPath).split(path.sep).join('/');
 
                 try {
                     const stat = fs.statSync(fullPath);
 
                     if (stat.isDirectory()) {
-                        if (!shouldIgnoreDir(item)) {
+                        if (!submodulePaths.includes(relativePath) && !shouldIgnoreDir(item, config) && !isExcluded(relativePath, config) &&
+                            !(filter && filter.skipDir(relativePath))) {
                             scanRecursive(fullPath);
                         }
-                    } else if (stat.isFile() && shouldScanFile(fullPath)) {
-                        const findings = scanFileForSecrets(fullPath);
+                    } else if (stat.isFile() && shouldScanFile(relativePath, config) &&
+                        !(filter && filter.skipFile(relativePath))) {
+                        const findings = scanFileForSecrets(fullPath, config, { includeSuppressed });
                         allFindings.push(...findings);
                     }
                 } catch (error) {
@@ -149,14 +590,14 @@ export function scanDirectory(dirPath = '.') {
     }
 
     scanRecursive(dirPath);
-    return allFindings;
-}
 
-function getSeverity(secretType) {
-    const highRisk = ['stripe_live', 'aws_access', 'jwt_secret', 'database_url'];
-    const mediumRisk = ['openai', 'github_token'];
+    if (submodules) {
+        submodulePaths.forEach(submodule => {
+            scanDirectory(path.join(dirPath, submodule), { ...options, config }).forEach(finding => {
+                allFindings.push({ ...finding, submodule: finding.submodule ? `${submodule}/${finding.submodule}` : submodule });
+            });
+        });
+    }
 
-    if (highRisk.includes(secretType)) return 'high';
-    if (mediumRisk.includes(secretType)) return 'medium';
-    return 'low';
-}
\ No newline at end of file
+    return allFindings;
+}
@@ -0,0 +1,123 @@
+// lib/diff.js
+
+const escapes = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13, '"': 34, '\\': 92 };
+
+/**
+ * Undo git's C-style path quoting, including octal-escaped UTF-8 bytes
+ */
+function unquoteGitPath(quoted) {
+    const bytes = [];
+    const body = quoted.slice(1, -1);
+
+    for (let i = 0; i < body.length; i++) {
+        if (body[i] !== '\\') {
+            bytes.push(...Buffer.from(body[i], 'utf8'));
+            continue;
+        }
+
+        const octal = body.slice(i + 1, i + 4);
+        if (/^[0-7]{3}$/.test(octal)) {
+            bytes.push(parseInt(octal, 8));
+            i += 3;
+        } else {
+            bytes.push(escapes[body[i + 1]] ?? body.charCodeAt(i + 1));
+            i += 1;
+        }
+    }
+
+    return Buffer.from(bytes).toString('utf8');
+}
+
+/**
+ * Strip the `b/` prefix and any C-style quoting from a diff header path
+ */
+function parseDiffPath(rawPath) {
+    let filePath = rawPath.replace(/\t.*$/, '');
+
+    if (filePath.startsWith('"') && filePath.endsWith('"')) {
+        filePath = unquoteGitPath(filePath);
+    }
+
+    if (filePath === '/dev/null') {
+        return null;
+    }
+
+    return filePath.replace(/^b\//, '');
+}
+
+/**
+ * Parse unified diff output into the added lines of each file.
+ *
+ * Returns `[{ file, addedLines: [{ line, text, previousText }] }]` where
+ * `line` is the line number in the new version of the file and
+ * `previousText` is the line above it, when the diff shows it. Hunk line
+ * counts are tracked so an added line that happens to start with `++ ` is
+ * not mistaken for a file header.
+ *
+ * Combined diffs of merge commits (`git show --cc`) have one marker column
+ * per parent; only lines that are new to every parent count as added, which
+ * is what a merge introduces itself, e.g. while resolving a conflict.
+ */
+export function parseDiff(diffText) {
+    const files = [];
+    let current = null;
+    let parents = 1;
+    let newLine = 0;
+    let oldRemaining = [];
+    let newRemaining = 0;
+    let previousText;
+
+    diffText.split('\n').forEach(line => {
+        if (newRemaining > 0 || oldRemaining.some(count => count > 0)) {
+            const columns = line.slice(0, parents);
+
+            // "\ No newline at end of file" does not count towards the hunk
+            if (columns.length < parents || !/^[ +-]+$/.test(columns)) {
+                return;
+            }
+
+            const text = line.slice(parents);
+            if (!columns.includes('-')) {
+                if (!columns.includes(' ') && current) {
+                    current.addedLines.push({ line: newLine, text, previousText });
+                }
+                previousText = text;
+                newLine++;
+                newRemaining--;
+            }
+            // A removed line belongs to the parents marked `-`, any other to those marked ` `
+            const inParent = columns.includes('-') ? '-' : ' ';
+            [...columns].forEach((column, parent) => {
+                if (column === inParent) {
+                    oldRemaining[parent]--;
+                }
+            });
+            return;
+        }
+
+        if (line.startsWith('diff --git ') || line.startsWith('diff --cc ')) {
+            current = null;
+            return;
+        }
+
+        if (line.startsWith('+++ ')) {
+            const file = parseDiffPath(line.slice(4));
+            current = file ? { file, addedLines: [] } : null;
+            if (current) {
+                files.push(current);
+            }
+            return;
+        }
+
+        const hunk = line.match(/^(@@+) ((?:-\d+(?:,\d+)? )+)\+(\d+)(?:,(\d+))? \1/);
+        if (hunk) {
+            parents = hunk[1].length - 1;
+            oldRemaining = [...hunk[2].matchAll(/-\d+(?:,(\d+))?/g)].map(range => (range[1] === undefined ? 1 : parseInt(range[1], 10)));
+            newLine = parseInt(hunk[3], 10);
+            newRemaining = hunk[4] === undefined ? 1 : parseInt(hunk[4], 10);
+            previousText = undefined;
+        }
+    });
+
+    return files.filter(file => file.addedLines.length > 0);
+}
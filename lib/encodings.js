@@ -0,0 +1,77 @@
+// lib/encodings.js
+
+/**
+ * How many layers of encoding are peeled off by default, e.g. 2 for a
+ * percent-encoded password inside a base64 value
+ */
+export const DEFAULT_DECODE_DEPTH = 2;
+
+const MIN_ENCODED_LENGTH = 16;
+
+const base64Candidate = /(?<![A-Za-z0-9+/=_-])[A-Za-z0-9+/_-]{16,}={0,2}(?![A-Za-z0-9+/=_-])/g;
+const percentCandidate = /[^\s'"`%]*(?:%[0-9A-Fa-f]{2}[^\s'"`%]*)+/g;
+
+// Decoded text must be readable, otherwise it was random bytes (or not
+// encoded at all) and the original string is scanned as it is
+const printable = /^[\t\n\r\x20-\x7e]+$/;
+
+function decodeBase64(value) {
+    const unpadded = value.replace(/=+$/, '');
+    if (unpadded.length % 4 === 1) {
+        return null;
+    }
+
+    const decoded = Buffer.from(unpadded.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+    // Node skips invalid characters silently, so insist on a clean round trip
+    const reencoded = decoded.toString('base64').replace(/=+$/, '');
+    return reencoded === unpadded.replace(/-/g, '+').replace(/_/g, '/') ? decoded.toString('latin1') : null;
+}
+
+function decodeHex(value) {
+    if (!/^(?:[0-9A-Fa-f]{2})+$/.test(value)) {
+        return null;
+    }
+    return Buffer.from(value, 'hex').toString('latin1');
+}
+
+function decodePercent(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Encoded segments of a line whose decoded form is readable text. Returns
+ * `[{ index, value, decoded, encoding }]` where `encoding` is `base64`, `hex`
+ * or `percent`. Segments never overlap; hex wins over base64 for strings
+ * that are valid as both.
+ */
+export function findEncodedSegments(text) {
+    const segments = [];
+    const overlaps = (start, end) => segments.some(segment => start < segment.index + segment.value.length && segment.index < end);
+
+    for (const match of text.matchAll(base64Candidate)) {
+        const value = match[0];
+        const decodings = [['hex', decodeHex(value)], ['base64', decodeBase64(value)]];
+        const [encoding, decoded] = decodings.find(([, result]) => result !== null && printable.test(result)) || [];
+
+        if (encoding) {
+            segments.push({ index: match.index, value, decoded, encoding });
+        }
+    }
+
+    for (const match of text.matchAll(percentCandidate)) {
+        const value = match[0];
+        const decoded = decodePercent(value);
+
+        if (value.length >= MIN_ENCODED_LENGTH && decoded && decoded !== value && printable.test(decoded) &&
+            !overlaps(match.index, match.index + value.length)) {
+            segments.push({ index: match.index, value, decoded, encoding: 'percent' });
+        }
+    }
+
+    return segments.sort((a, b) => a.index - b.index);
+}
@@ -0,0 +1,159 @@
+// lib/entropy.js
+import path from 'path';
+
+/**
+ * Default thresholds, in bits per character. Random base64 approaches 6 and
+ * random hex approaches 4, while identifiers and prose stay well below.
+ */
+export const entropyDefaults = {
+    base64Threshold: 4.5,
+    hexThreshold: 3.0,
+    minLength: 20
+};
+
+// Files made of checksums, which are high-entropy by design
+const lockfiles = [
+    'package-lock.json',
+    'npm-shrinkwrap.json',
+    'yarn.lock',
+    'pnpm-lock.yaml',
+    'composer.lock',
+    'Gemfile.lock',
+    'Cargo.lock',
+    'poetry.lock',
+    'Pipfile.lock',
+    'go.sum'
+];
+
+// Values of these keys are hashes or ids, not credentials
+const nonSecretKeys = /(?:integrity|checksum|shasum|hash|digest|sha\d*|md5|etag|nonce|uuid|guid|commit|revision|gitHead|fingerprint)$/i;
+
+const stringLiteral = /(['"`])((?:\\.|(?!\1)[^\\])*)\1/g;
+const assignedValue = /[\w.-]+\s*[:=]\s*([^\s'"`,;#]+)/g;
+const token = /[A-Za-z0-9+/=_-]+/g;
+
+const uuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const subresourceIntegrity = /^sha(?:1|256|384|512)-[A-Za-z0-9+/]+=*$/;
+const hex = /^[0-9a-f]+$/i;
+
+// Git object names: SHA-1 and SHA-256 commit ids
+const commitSha = /^(?:[0-9a-f]{40}|[0-9a-f]{64})$/;
+
+// Links such as changelog commit URLs; `https:` followed by `//host/...` is
+// how an unquoted URL splits into key and value
+const url = /^(?:[a-z][a-z0-9+.-]*:)?\/\//i;
+
+// Encoding alphabets such as "0123456789ABCDEF..." are high-entropy but public
+const alphabet = /0123456789|abcdefghij|ABCDEFGHIJ/;
+
+/**
+ * Shannon entropy of a string, in bits per character
+ */
+export function shannonEntropy(value) {
+    const counts = new Map();
+    for (const char of value) {
+        counts.set(char, (counts.get(char) || 0) + 1);
+    }
+
+    let entropy = 0;
+    counts.forEach(count => {
+        const probability = count / value.length;
+        entropy -= probability * Math.log2(probability);
+    });
+
+    return entropy;
+}
+
+function keyBefore(text, index) {
+    const match = text.slice(0, index).match(/([\w.-]+)['"]?\s*[:=]\s*$/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Literal strings and unquoted assigned values on a line, with their offsets
+ */
+function candidateValues(text) {
+    const candidates = [];
+
+    for (const match of text.matchAll(stringLiteral)) {
+        candidates.push({ value: match[2], index: match.index + 1, key: keyBefore(text, match.index) });
+    }
+
+    for (const match of text.matchAll(assignedValue)) {
+        // Unquoted values starting with a slash are paths or regex literals
+        if (match[1].startsWith('/')) {
+            continue;
+        }
+        const index = match.index + match[0].length - match[1].length;
+        candidates.push({ value: match[1], index, key: keyBefore(text, index) });
+    }
+
+    return candidates;
+}
+
+function classify(value, thresholds) {
+    if (uuid.test(value) || subresourceIntegrity.test(value) || alphabet.test(value) || commitSha.test(value)) {
+        return null;
+    }
+
+    // Hex needs a letter, so long numbers such as timestamps don't count
+    if (hex.test(value)) {
+        return /[a-f]/i.test(value) ? { charset: 'hex', threshold: thresholds.hexThreshold } : null;
+    }
+
+    // Identifiers and paths without a digit are almost never random tokens
+    return /\d/.test(value) ? { charset: 'base64', threshold: thresholds.base64Threshold } : null;
+}
+
+/**
+ * A string of n characters has at most log2(n) bits per character, so a
+ * 20-character token can never reach a base64 threshold of 4.5. Shorter
+ * tokens are held to half a bit below that maximum instead; random
+ * 20-character base64 averages about 4 bits.
+ */
+function thresholdFor(kind, length) {
+    return Math.min(kind.threshold, Math.log2(length) - 0.5);
+}
+
+/**
+ * Find base64 and hex tokens in string literals and assigned values whose
+ * entropy is above the configured threshold for their charset, lowered for
+ * tokens too short to reach it. Returns
+ * `[{ index, value, charset, entropy }]`.
+ */
+export function findHighEntropyStrings(text, { config = {}, file = '' } = {}) {
+    const thresholds = { ...entropyDefaults, ...config.entropy };
+
+    if (lockfiles.includes(path.basename(file))) {
+        return [];
+    }
+
+    const seen = new Set();
+    const results = [];
+
+    candidateValues(text).forEach(({ value, index, key }) => {
+        if ((key && nonSecretKeys.test(key)) || value.startsWith('data:') || url.test(value)) {
+            return;
+        }
+
+        for (const match of value.matchAll(token)) {
+            const start = index + match.index;
+            if (match[0].length < thresholds.minLength || seen.has(start)) {
+                continue;
+            }
+            seen.add(start);
+
+            const kind = classify(match[0], thresholds);
+            if (!kind) {
+                continue;
+            }
+
+            const entropy = shannonEntropy(match[0]);
+            if (entropy >= thresholdFor(kind, match[0].length)) {
+                results.push({ index: start, value: match[0], charset: kind.charset, entropy });
+            }
+        }
+    });
+
+    return results;
+}
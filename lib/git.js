@@ -0,0 +1,112 @@
+// lib/git.js
+import { execFileSync } from 'child_process';
+import path from 'path';
+
+/**
+ * Run a git command and return its stdout
+ */
+export function runGit(args, projectPath = '.') {
+    return execFileSync('git', args, {
+        cwd: projectPath,
+        encoding: 'utf8',
+        maxBuffer: 64 * 1024 * 1024,
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+}
+
+/**
+ * List files that are added, copied or modified in the index
+ */
+export function getStagedFiles(projectPath = '.') {
+    return runGit(['diff', '--cached', '--name-only', '-z', '--diff-filter=ACM'], projectPath)
+        .split('\0')
+        .filter(Boolean);
+}
+
+/**
+ * Read the staged (index) version of a file rather than the working tree copy
+ */
+export function readStagedFile(file, projectPath = '.') {
+    return runGit(['show', `:${file}`], projectPath);
+}
+
+/**
+ * Reject revisions that git would parse as command-line options
+ */
+export function assertRevision(revision) {
+    if (typeof revision !== 'string' || revision === '' || revision.startsWith('-')) {
+        throw new Error(`Invalid revision: ${revision}`);
+    }
+    return revision;
+}
+
+// One line of context so suppression comments above an added line are visible
+const diffOptions = [
+    '--unified=1', '--no-color', '--no-ext-diff',
+    '--src-prefix=a/', '--dst-prefix=b/'
+];
+
+/**
+ * Get the diff a single commit introduced. Merge commits get a combined
+ * diff, which only shows what the merge changed beyond its parents.
+ */
+export function getCommitDiff(sha, projectPath = '.') {
+    return runGit(['-c', 'core.quotepath=off', 'show', '--format=', '--cc', ...diffOptions, sha], projectPath);
+}
+
+/**
+ * Get a `git diff`, e.g. `['--cached']` or `['main...HEAD']`
+ */
+export function getDiff(diffArgs, projectPath = '.') {
+    return runGit(['-c', 'core.quotepath=off', 'diff', ...diffOptions, ...diffArgs, '--'], projectPath);
+}
+
+/**
+ * Find the commit where HEAD branched off from the given ref
+ */
+export function getMergeBase(ref, projectPath = '.') {
+    return runGit(['merge-base', assertRevision(ref), 'HEAD'], projectPath).trim();
+}
+
+/**
+ * Get the set of commits reachable from any remote-tracking branch
+ */
+export function getPushedCommits(projectPath = '.') {
+    return new Set(runGit(['rev-list', '--remotes'], projectPath).split('\n').filter(Boolean));
+}
+
+/**
+ * Whether a directory is inside a git work tree. Works for linked worktrees
+ * and submodules, where `.git` is a file rather than a directory.
+ */
+export function isGitRepository(projectPath = '.') {
+    try {
+        runGit(['rev-parse', '--git-dir'], projectPath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Resolve a path inside the git directory, e.g. `hooks` or `info/exclude`,
+ * the way git does: `core.hooksPath` is honoured and linked worktrees share
+ * the main repository's hooks
+ */
+export function getGitPath(name, projectPath = '.') {
+    return path.resolve(projectPath, runGit(['rev-parse', '--git-path', name], projectPath).trim());
+}
+
+/**
+ * Paths of the checked-out submodules directly inside a repository,
+ * relative to its root
+ */
+export function listSubmodules(projectPath = '.') {
+    try {
+        return runGit(['submodule', 'foreach', '--quiet', 'printf "%s\\0" "$sm_path"'], projectPath)
+            .split('\0')
+            .filter(Boolean);
+    } catch (error) {
+        return [];
+    }
+}
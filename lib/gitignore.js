@@ -1,16 +1,18 @@
 import fs from 'fs';
 import path from 'path';
 import { gitignoreTemplates } from './patterns.js';
+import { loadConfig, isSensitiveFile } from './config.js';
 
 /**
  * Represents a parsed .gitignore file with utilities for safe modification
  */
-class GitignoreFile {
+export class GitignoreFile {
     constructor(filePath) {
         this.filePath = filePath;
         this.exists = fs.existsSync(filePath);
         this.lines = [];
         this.patterns = new Set();
+        this.rules = [];
         this.originalContent = '';
 
         if (this.exists) {
@@ -33,6 +35,8 @@ class GitignoreFile {
                     this.patterns.add(this.normalizePattern(trimmed));
                 }
             });
+
+            this.rules = parseGitignoreContent(this.lines.join('\n'));
         } catch (error) {
             throw new Error(`Failed to read .gitignore: ${error.message}`);
         }
@@ -139,10 +143,46 @@ class GitignoreFile {
         patternsToAdd.forEach(pattern => {
             this.patterns.add(this.normalizePattern(pattern));
         });
+        this.rules = parseGitignoreContent(this.lines.join('\n'));
 
         return true;
     }
 
+    /**
+     * Build a matcher for the directory holding this file. Nested .gitignore
+     * files are read from disk, while this file's rules come from memory so
+     * unsaved changes count.
+     */
+    createMatcher(rules = this.rules) {
+        const matcher = new IgnoreMatcher(path.dirname(this.filePath), ['.gitignore']);
+        const fileName = path.basename(this.filePath);
+        matcher.setDirRules('', rules.map(rule => ({ ...rule, base: '', file: fileName })));
+        return matcher;
+    }
+
+    /**
+     * Check whether a path (relative to this file's directory) is ignored,
+     * following full gitignore semantics rather than comparing pattern strings
+     */
+    isIgnored(filePath, isDir = false) {
+        return this.createMatcher().isIgnored(filePath, isDir);
+    }
+
+    /**
+     * Like isIgnored, but also returns the rule that decided it
+     */
+    explain(filePath, isDir = false) {
+        return this.createMatcher().explain(filePath, isDir);
+    }
+
+    /**
+     * Check whether appending a line to this file would make a path ignored
+     */
+    wouldIgnore(filePath, line) {
+        const rules = [...this.rules, ...parseGitignoreContent(line)];
+        return this.createMatcher(rules).isIgnored(filePath);
+    }
+
     /**
      * Write the gitignore file atomically
      */
@@ -193,7 +233,8 @@ class GitignoreFile {
 /**
  * Update .gitignore for specified frameworks
  */
-export function updateGitignore(frameworks, projectPath = '.') {
+export function updateGitignore(frameworks, projectPath = '.', options = {}) {
+    const { config = loadConfig(projectPath), extraPatterns = [] } = options;
     const gitignorePath = path.join(projectPath, '.gitignore');
     const gitignore = new GitignoreFile(gitignorePath);
 
@@ -217,6 +258,12 @@ export function updateGitignore(frameworks, projectPath = '.') {
         const securityPatterns = ['.env*', '*.log', '.DS_Store'];
         securityPatterns.forEach(pattern => allPatterns.add(pattern));
 
+        // Plus any sensitive files the project config adds
+        config.extraSensitiveFiles.forEach(pattern => allPatterns.add(pattern));
+
+        // Plus lines for specific files, e.g. from findUntrackedSensitiveFiles
+        extraPatterns.forEach(pattern => allPatterns.add(pattern));
+
         const patternsArray = Array.from(allPatterns);
 
         // Check what we're adding vs what exists
@@ -246,7 +293,8 @@ export function updateGitignore(frameworks, projectPath = '.') {
 /**
  * Preview what changes would be made without modifying files
  */
-export function previewGitignoreChanges(frameworks, projectPath = '.') {
+export function previewGitignoreChanges(frameworks, projectPath = '.', options = {}) {
+    const { config = loadConfig(projectPath), extraPatterns = [] } = options;
     const gitignorePath = path.join(projectPath, '.gitignore');
     const gitignore = new GitignoreFile(gitignorePath);
 
@@ -258,6 +306,8 @@ export function previewGitignoreChanges(frameworks, projectPath = '.') {
 
     const securityPatterns = ['.env*', '*.log', '.DS_Store'];
     securityPatterns.forEach(pattern => allPatterns.add(pattern));
+    config.extraSensitiveFiles.forEach(pattern => allPatterns.add(pattern));
+    extraPatterns.forEach(pattern => allPatterns.add(pattern));
 
     const patternsArray = Array.from(allPatterns);
     const toAdd = patternsArray.filter(pattern => !gitignore.hasPattern(pattern));
@@ -271,23 +321,54 @@ export function previewGitignoreChanges(frameworks, projectPath = '.') {
     };
 }
 
+function escapeGitignorePath(filePath) {
+    return filePath.replace(/[*?[\\!#]/g, '\\$&').replace(/ $/, '\\ ');
+}
+
+/**
+ * Suggest the .gitignore line that would cover a sensitive file: the
+ * sensitive pattern it matches when .gitignore doesn't have it yet, otherwise
+ * the file's own anchored path. Returns null when no root .gitignore line can
+ * cover it, i.e. a nested .gitignore re-includes the file.
+ */
+export function suggestGitignoreLine(filePath, projectPath = '.', options = {}) {
+    const {
+        config = loadConfig(projectPath),
+        gitignore = new GitignoreFile(path.join(projectPath, '.gitignore'))
+    } = options;
+    const normalized = filePath.split(path.sep).join('/');
+    const candidates = [];
+
+    const index = config.sensitiveMatchers.findIndex(matcher => matcher.test(normalized));
+    if (index !== -1 && !gitignore.hasPattern(config.sensitiveFiles[index])) {
+        candidates.push(config.sensitiveFiles[index]);
+    }
+    candidates.push(`/${escapeGitignorePath(normalized)}`);
+
+    return candidates.find(line => gitignore.wouldIgnore(normalized, line)) || null;
+}
+
 /**
  * Validate that .gitignore is properly configured
  */
-export function validateGitignore(frameworks, projectPath = '.') {
+export function validateGitignore(frameworks, projectPath = '.', options = {}) {
+    const { config = loadConfig(projectPath) } = options;
     const gitignorePath = path.join(projectPath, '.gitignore');
 
     if (!fs.existsSync(gitignorePath)) {
         return {
             valid: false,
             issues: ['No .gitignore file found'],
-            suggestions: ['Run secure-project init to create .gitignore']
+            suggestions: ['Run secure-project init to create .gitignore'],
+            exposed: []
         };
     }
 
     const gitignore = new GitignoreFile(gitignorePath);
+    const matcher = gitignore.createMatcher();
     const issues = [];
     const suggestions = [];
+    const exposed = [];
 
     // Check for essential security patterns
     const essentialPatterns = ['.env*', '*.log'];
@@ -309,9 +390,369 @@ export function validateGitignore(frameworks, projectPath = '.') {
         }
     });
 
+    // Check that sensitive files are actually ignored, not just mentioned
+    findSensitiveCandidates(projectPath, config).forEach(file => {
+        const { ignored, rule } = matcher.explain(file);
+        if (ignored) {
+            return;
+        }
+
+        if (rule) {
+            const pattern = rule.source.trim();
+            exposed.push({ file, reincludedBy: { file: rule.file, line: rule.lineNumber, pattern } });
+            issues.push(`${file} is not ignored: re-included by "${pattern}" (${rule.file}:${rule.lineNumber})`);
+            suggestions.push(`Remove "${pattern}" from ${rule.file}`);
+        } else {
+            exposed.push({ file, reincludedBy: null });
+            issues.push(`${file} is not ignored by any .gitignore rule`);
+            suggestions.push(`Add ${file} to .gitignore`);
+        }
+    });
+
     return {
         valid: issues.length === 0,
         issues,
-        suggestions
+        suggestions,
+        exposed
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Sensitive files that could be committed: ones that exist on disk, plus
+ * ones named by a negation such as `!.env.production`, which re-includes the
+ * file even before it is created
+ */
+function findSensitiveCandidates(projectPath, config) {
+    const candidates = new Set();
+
+    function walk(relDir) {
+        let items;
+        try {
+            items = fs.readdirSync(path.join(projectPath, relDir), { withFileTypes: true });
+        } catch (error) {
+            return;
+        }
+
+        items.forEach(item => {
+            const relPath = relDir ? `${relDir}/${item.name}` : item.name;
+
+            if (item.isDirectory()) {
+                if (!config.ignoreDirs.includes(item.name)) {
+                    walk(relPath);
+                }
+                return;
+            }
+
+            if (item.name === '.gitignore') {
+                parseGitignoreContent(fs.readFileSync(path.join(projectPath, relPath), 'utf8'))
+                    .filter(rule => rule.negate && !/[*?[\\]/.test(rule.source))
+                    .forEach(rule => {
+                        const name = rule.source.trim().slice(1).replace(/^\//, '');
+                        candidates.add(relDir ? `${relDir}/${name}` : name);
+                    });
+            } else {
+                candidates.add(relPath);
+            }
+        });
+    }
+
+    walk('');
+
+    return Array.from(candidates)
+        .filter(file => isSensitiveFile(file, config))
+        .sort();
+}
+
+export const SECURE_COMMIT_IGNORE_FILE = '.secure-commitignore';
+
+const posixClasses = {
+    alnum: 'a-zA-Z0-9',
+    alpha: 'a-zA-Z',
+    blank: ' \\t',
+    cntrl: '\\x00-\\x1f\\x7f',
+    digit: '0-9',
+    graph: '\\x21-\\x7e',
+    lower: 'a-z',
+    print: '\\x20-\\x7e',
+    punct: '!-\\/:-@\\[-`{-~',
+    space: ' \\t\\n\\r\\f\\v',
+    upper: 'A-Z',
+    xdigit: '0-9a-fA-F'
+};
+
+/**
+ * Parse a `[...]` character class starting at `start`. Returns the JS class
+ * body, whether it is negated and the index of the closing bracket, or null
+ * when the bracket is never closed (and so is a literal "[").
+ */
+function parseCharClass(glob, start) {
+    let i = start + 1;
+    let negated = false;
+    let body = '';
+
+    if (glob[i] === '!' || glob[i] === '^') {
+        negated = true;
+        i++;
+    }
+
+    for (let first = true; i < glob.length; i++, first = false) {
+        const char = glob[i];
+
+        if (char === ']' && !first) {
+            return { body, negated, end: i };
+        }
+
+        if (char === '[' && glob[i + 1] === ':') {
+            const close = glob.indexOf(':]', i + 2);
+            const name = close === -1 ? null : glob.slice(i + 2, close);
+            if (name && posixClasses[name]) {
+                body += posixClasses[name];
+                i = close + 1;
+                continue;
+            }
+        }
+
+        // A backslash makes the next character literal
+        const literal = char === '\\' && i + 1 < glob.length ? glob[++i] : char;
+        body += /[\\\]\[^]/.test(literal) || (literal === '-' && char === '\\')
+            ? `\\${literal}`
+            : literal;
+    }
+
+    return null;
+}
+
+/**
+ * Translate the body of a gitignore pattern into a regular expression source.
+ * Handles `*`, `?`, `**`, character classes and backslash escapes.
+ */
+function globToRegexSource(glob) {
+    let source = '';
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === '\\' && i + 1 < glob.length) {
+            source += glob[i + 1].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+            i++;
+        } else if (char === '*' && glob[i + 1] === '*') {
+            const atStart = i === 0 || glob[i - 1] === '/';
+            const atEnd = i + 2 === glob.length || glob[i + 2] === '/';
+
+            if (atStart && glob[i + 2] === '/') {
+                // "**/" matches zero or more directories
+                source += '(?:[^/]*/)*';
+                i += 2;
+            } else if (atStart && atEnd) {
+                // Trailing "/**" matches everything inside
+                source += '.*';
+                i += 1;
+            } else {
+                // Any other "**" is an ordinary "*"
+                source += '[^/]*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const charClass = parseCharClass(glob, i);
+            if (!charClass) {
+                source += '\\[';
+                continue;
+            }
+
+            // Character classes never match the path separator
+            source += `(?!/)[${charClass.negated ? '^' : ''}${charClass.body}]`;
+            i = charClass.end;
+        } else {
+            source += char.replace(/[.+^${}()|\\/]/g, '\\$&');
+        }
+    }
+
+    return source;
+}
+
+/**
+ * Compile one line of a gitignore file. Returns null for blank lines and
+ * comments.
+ */
+export function compileGitignorePattern(line) {
+    // Trailing spaces are ignored unless escaped
+    let pattern = line.replace(/\r$/, '').replace(/(?<!\\)\s+$/, '');
+
+    if (pattern === '' || pattern.startsWith('#')) {
+        return null;
+    }
+
+    let negate = false;
+    if (pattern.startsWith('!')) {
+        negate = true;
+        pattern = pattern.slice(1);
+    } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+        pattern = pattern.slice(1);
+    }
+
+    let dirOnly = false;
+    if (pattern.endsWith('/')) {
+        dirOnly = true;
+        pattern = pattern.replace(/\/+$/, '');
+    }
+
+    if (pattern === '') {
+        return null;
+    }
+
+    // A slash at the start or in the middle anchors the pattern to its directory
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+
+    const body = globToRegexSource(pattern);
+    const regex = new RegExp(anchored ? `^${body}$` : `(?:^|/)${body}$`);
+
+    return { source: line, negate, dirOnly, regex };
+}
+
+/**
+ * Compile every pattern in a gitignore file, remembering its line number
+ */
+export function parseGitignoreContent(content) {
+    const rules = [];
+
+    content.split('\n').forEach((line, index) => {
+        const rule = compileGitignorePattern(line);
+        if (rule) {
+            rules.push({ ...rule, lineNumber: index + 1 });
+        }
+    });
+
+    return rules;
+}
+
+/**
+ * Matches project-relative paths against the ignore files found in each
+ * directory above them. Files are loaded lazily the first time a directory
+ * is consulted, so nested ignore files are picked up without a separate walk.
+ * Later rules win, and deeper files win over shallower ones, like git.
+ */
+export class IgnoreMatcher {
+    constructor(rootPath = '.', fileNames = ['.gitignore'], options = {}) {
+        const { excludeFiles = [] } = options;
+
+        this.rootPath = rootPath;
+        this.fileNames = fileNames;
+        this.excludeFiles = excludeFiles;
+        this.rulesByDir = new Map();
+        this.dirCache = new Map();
+    }
+
+    /**
+     * Read and compile one ignore file
+     */
+    readRules(filePath, base, displayPath) {
+        try {
+            const content = fs.readFileSync(filePath, 'utf8');
+            return parseGitignoreContent(content).map(rule => ({ ...rule, base, file: displayPath }));
+        } catch (error) {
+            // Missing or unreadable ignore file - nothing to add
+            return [];
+        }
+    }
+
+    /**
+     * Load the rules that live in one directory (relative to the root)
+     */
+    loadDir(relDir) {
+        if (this.rulesByDir.has(relDir)) {
+            return this.rulesByDir.get(relDir);
+        }
+
+        const rules = [];
+
+        // Repository-wide exclude files have the lowest precedence
+        if (relDir === '') {
+            this.excludeFiles.forEach(filePath => {
+                rules.push(...this.readRules(filePath, '', filePath));
+            });
+        }
+
+        this.fileNames.forEach(fileName => {
+            const displayPath = relDir ? `${relDir}/${fileName}` : fileName;
+            rules.push(...this.readRules(path.join(this.rootPath, relDir, fileName), relDir, displayPath));
+        });
+
+        this.rulesByDir.set(relDir, rules);
+        return rules;
+    }
+
+    /**
+     * Find the last rule that matches a path, ignoring its parent directories
+     */
+    findMatch(relPath, isDir = false) {
+        const segments = relPath.split('/');
+        let match = null;
+
+        for (let depth = 0; depth < segments.length; depth++) {
+            const base = segments.slice(0, depth).join('/');
+            const rest = segments.slice(depth).join('/');
+
+            this.loadDir(base).forEach(rule => {
+                if ((!rule.dirOnly || isDir) && rule.regex.test(rest)) {
+                    match = rule;
+                }
+            });
+        }
+
+        return match;
+    }
+
+    /**
+     * Replace the rules of one directory, e.g. with a .gitignore that has
+     * been edited in memory but not saved yet
+     */
+    setDirRules(relDir, rules) {
+        this.rulesByDir.set(relDir, rules);
+        this.dirCache.clear();
+    }
+
+    /**
+     * Explain how a project-relative path is matched, like
+     * `git check-ignore -v`. Returns `{ ignored, rule }` where `rule` is the
+     * deciding pattern (with its `file` and `lineNumber`), or null when no
+     * pattern matched. A path inside an ignored directory stays ignored even
+     * if a later rule re-includes it, so the directory's rule decides.
+     */
+    explain(relPath, isDir = false) {
+        const normalized = relPath.split(path.sep).join('/').replace(/^\.\//, '').replace(/\/$/, '');
+        if (normalized === '' || normalized === '.') {
+            return { ignored: false, rule: null };
+        }
+
+        const segments = normalized.split('/');
+        for (let i = 1; i < segments.length; i++) {
+            const parent = this.explainDir(segments.slice(0, i).join('/'));
+            if (parent.ignored) {
+                return parent;
+            }
+        }
+
+        const rule = this.findMatch(normalized, isDir);
+        return { ignored: Boolean(rule && !rule.negate), rule };
+    }
+
+    /**
+     * Check whether a project-relative path is ignored
+     */
+    isIgnored(relPath, isDir = false) {
+        return this.explain(relPath, isDir).ignored;
+    }
+
+    explainDir(relDir) {
+        if (!this.dirCache.has(relDir)) {
+            const rule = this.findMatch(relDir, true);
+            this.dirCache.set(relDir, { ignored: Boolean(rule && !rule.negate), rule });
+        }
+        return this.dirCache.get(relDir);
+    }
+}
@@ -0,0 +1,137 @@
+// lib/history.js
+import { runGit, getCommitDiff, getPushedCommits, assertRevision } from './git.js';
+import { parseDiff } from './diff.js';
+import { scanLines, shouldScanFile, createScanIgnoreFilter } from './detector.js';
+import { loadConfig } from './config.js';
+import { scanMessages } from './messages.js';
+
+const FIELD_SEPARATOR = '\x1f';
+
+/**
+ * List commits reachable from every ref, or from a revision range. Merge
+ * commits are included, since a conflict resolution can add a secret too.
+ * `range` may also be a list of revisions, such as `['<sha>', '^<sha>']`.
+ */
+export function listCommits(projectPath = '.', range = null) {
+    const format = ['%H', '%an', '%ae', '%aI', '%s'].join(FIELD_SEPARATOR);
+    const revisions = range === null ? ['--all'] : [].concat(range).map(assertRevision);
+    const args = ['log', `--format=${format}`, ...revisions, '--'];
+
+    return runGit(args, projectPath)
+        .split('\n')
+        .filter(Boolean)
+        .map(line => {
+            const [sha, author, email, date, subject] = line.split(FIELD_SEPARATOR);
+            return { sha, author, email, date, subject };
+        });
+}
+
+function scanCommits(commits, projectPath, config, isIgnored, pushed, includeSuppressed = false) {
+    const findings = [];
+
+    commits.forEach(commit => {
+        const files = parseDiff(getCommitDiff(commit.sha, projectPath));
+
+        files.filter(({ file }) => shouldScanFile(file, config) && !isIgnored(file)).forEach(({ file, addedLines }) => {
+            scanLines(addedLines, file, config, { includeSuppressed }).forEach(finding => {
+                findings.push({
+                    ...finding,
+                    commit: commit.sha,
+                    author: `${commit.author} <${commit.email}>`,
+                    date: commit.date,
+                    pushed: pushed.has(commit.sha)
+                });
+            });
+        });
+    });
+
+    return findings;
+}
+
+/**
+ * Scan the lines added by each commit in history, plus commit messages, git
+ * notes and tag annotations. Secrets that were committed and later deleted
+ * are still reported, together with whether the commit already exists on a
+ * remote-tracking branch. Suppressed findings are dropped unless
+ * `includeSuppressed` is set.
+ */
+export function scanHistory(projectPath = '.', options = {}) {
+    const { range = null, config = loadConfig(projectPath), respectIgnore = true, includeSuppressed = false } = options;
+    const isIgnored = createScanIgnoreFilter(projectPath, respectIgnore);
+
+    const commits = listCommits(projectPath, range);
+    const pushed = getPushedCommits(projectPath);
+
+    return {
+        findings: [
+            ...scanCommits(commits, projectPath, config, isIgnored, pushed, includeSuppressed),
+            ...scanMessages(projectPath, { range, config, pushed, includeSuppressed })
+        ],
+        commitsScanned: commits.length
+    };
+}
+
+const ZERO_SHA = /^0+$/;
+
+/**
+ * Parse the lines git passes to a pre-push hook on stdin:
+ * `<local ref> <local sha> <remote ref> <remote sha>`
+ */
+export function parsePushUpdates(input) {
+    return input
+        .split('\n')
+        .map(line => line.trim().split(/\s+/))
+        .filter(fields => fields.length === 4)
+        .map(([localRef, localSha, remoteRef, remoteSha]) => ({ localRef, localSha, remoteRef, remoteSha }));
+}
+
+function commitExists(sha, projectPath) {
+    try {
+        runGit(['cat-file', '-e', `${sha}^{commit}`], projectPath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * The revisions that select the commits a push sends: every pushed sha,
+ * minus what the remote's tracking branches and the updated refs already have
+ */
+function pushRevisions(updates, remote, projectPath) {
+    const include = updates
+        .filter(update => !ZERO_SHA.test(update.localSha))
+        .map(update => update.localSha);
+
+    if (include.length === 0) {
+        return [];
+    }
+
+    const remoteHeads = remote
+        ? runGit(['for-each-ref', '--format=%(objectname)', `refs/remotes/${remote}/`], projectPath).split('\n').filter(Boolean)
+        : [];
+    const remoteShas = updates
+        .map(update => update.remoteSha)
+        .filter(sha => !ZERO_SHA.test(sha) && commitExists(sha, projectPath));
+
+    const exclude = [...new Set([...remoteHeads, ...remoteShas])].map(sha => `^${sha}`);
+    return [...new Set(include), ...exclude];
+}
+
+/**
+ * Scan every commit a push would send to `remote`, given the ref updates
+ * git passes to the pre-push hook. Deleted refs are skipped.
+ */
+export function scanPush(projectPath = '.', options = {}) {
+    const { updates = [], remote = null, config = loadConfig(projectPath), respectIgnore = true } = options;
+    const isIgnored = createScanIgnoreFilter(projectPath, respectIgnore);
+
+    const revisions = pushRevisions(updates, remote, projectPath);
+    const commits = revisions.length > 0 ? listCommits(projectPath, revisions) : [];
+
+    return {
+        findings: scanCommits(commits, projectPath, config, isIgnored, new Set()),
+        commits,
+        commitsScanned: commits.length
+    };
+}
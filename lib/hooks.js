@@ -1,111 +1,332 @@
 // lib/hooks.js
 import fs from 'fs-extra';
 import path from 'path';
+import crypto from 'crypto';
 import { execSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { isGitRepository, getGitPath } from './git.js';
+import { detectHookManager, registeredHookState, upgradeRegisteredHook } from './managers.js';
+import { VERSION } from './version.js';
 
 /**
- * Check if git hooks are installed
+ * Hooks secure-commit can install, each from the template of the same name
  */
-export function checkHookInstallation(targetDir = '.') {
+export const HOOK_TYPES = ['pre-commit', 'pre-push', 'commit-msg'];
+
+const packageDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Written into every hook; the hash covers the rest of the file except the
+// CLI path, which depends on where secure-commit was installed from
+const VERSION_LINE = /^# secure-commit-version: (.+)$/m;
+const HASH_LINE = /^# secure-commit-hash: (.*)\n/m;
+const CLI_LINE = /^SECURE_COMMIT_CLI=.*\n/m;
+
+function hashHook(content) {
+    return crypto.createHash('sha256').update(content.replace(HASH_LINE, '').replace(CLI_LINE, '')).digest('hex');
+}
+
+// First lines of the hooks written before they were stamped
+const legacyHeaders = {
+    'pre-commit': '#!/bin/sh\n# Secure Project - Pre-commit hook to prevent secrets\n',
+    'pre-push': '#!/bin/sh\n# Secure Project - Pre-push hook to prevent secrets\n',
+    'commit-msg': '#!/bin/sh\n# Secure Project - Commit-msg hook to prevent secrets\n'
+};
+
+/**
+ * Whether secure-commit wrote this hook: it carries the version and hash
+ * stamp, or starts like the unstamped hooks of earlier versions. Hooks that
+ * merely mention secure-commit, e.g. to call it, belong to someone else.
+ */
+function isSecureCommitHook(content, hook) {
+    return (VERSION_LINE.test(content) && HASH_LINE.test(content)) || content.startsWith(legacyHeaders[hook]);
+}
+
+/**
+ * The hook file secure-commit writes for `hook`: the template pointed at this
+ * copy of the CLI, stamped with the version and a hash of its content
+ */
+function renderHook(hook) {
+    const templatePath = path.join(packageDir, 'templates', hook);
+    let content;
     try {
-        const gitDir = path.join(targetDir, '.git');
-        const hooksDir = path.join(gitDir, 'hooks');
-        const preCommitPath = path.join(hooksDir, 'pre-commit');
-        
-        if (!fs.existsSync(gitDir)) {
-            return { installed: false, reason: 'Not a git repository' };
+        content = fs.readFileSync(templatePath, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot read hook template: ${error.message}`);
+    }
+
+    const cliPath = path.join(packageDir, 'bin', 'cli.js');
+    content = content
+        .replace('__SECURE_COMMIT_CLI__', cliPath)
+        .replace('__SECURE_COMMIT_VERSION__', VERSION);
+    return content.replace('__SECURE_COMMIT_HASH__', hashHook(content));
+}
+
+/**
+ * Whether an installed hook is `current`, `outdated` (written by another
+ * version or build of secure-commit, or before hooks were versioned) or
+ * `modified` (edited since it was written). Hooks written by a copy of the
+ * same version installed elsewhere are current.
+ */
+function hookState(content, hook) {
+    const hash = content.match(HASH_LINE);
+    if (!hash || !VERSION_LINE.test(content)) {
+        return 'outdated';
+    }
+    if (hash[1] !== hashHook(content)) {
+        return 'modified';
+    }
+    return hash[1] === hashHook(renderHook(hook)) ? 'current' : 'outdated';
+}
+
+function hookVersion(content) {
+    const match = content.match(VERSION_LINE);
+    return match ? match[1] : null;
+}
+
+function assertHookTypes(hooks) {
+    hooks.forEach(hook => {
+        if (!HOOK_TYPES.includes(hook)) {
+            throw new Error(`Unknown hook type "${hook}" (expected one of ${HOOK_TYPES.join(', ')})`);
         }
-        
-        if (!fs.existsSync(preCommitPath)) {
-            return { installed: false, reason: 'No pre-commit hook found' };
+    });
+}
+
+/**
+ * The directory git runs hooks from, as `git rev-parse --git-path hooks`
+ * reports it: `core.hooksPath` when set, and the main repository's hooks in
+ * linked worktrees and submodules
+ */
+export function resolveHooksDir(targetDir = '.') {
+    return getGitPath('hooks', targetDir);
+}
+
+function checkHook(hooksDir, hook) {
+    const hookPath = path.join(hooksDir, hook);
+
+    if (!fs.existsSync(hookPath)) {
+        return { installed: false, reason: `No ${hook} hook found` };
+    }
+
+    let hookContent;
+    try {
+        hookContent = fs.readFileSync(hookPath, 'utf8');
+    } catch (error) {
+        return { installed: false, hookPath, reason: `Cannot read hook file: ${error.message}` };
+    }
+
+    if (!isSecureCommitHook(hookContent, hook)) {
+        return { installed: false, hookPath, reason: 'Different hook exists' };
+    }
+
+    const state = hookState(hookContent, hook);
+    const version = hookVersion(hookContent);
+    const reasons = {
+        current: 'Installed',
+        outdated: version === VERSION
+            ? 'Installed but outdated (written by a different secure-commit build)'
+            : `Installed but outdated (${version ? `v${version}` : 'unversioned'}, current v${VERSION})`,
+        modified: 'Installed but locally modified'
+    };
+    const status = { installed: true, hookPath, state, version, reason: reasons[state] };
+
+    if (fs.existsSync(`${hookPath}.local`)) {
+        status.chained = `${hookPath}.local`;
+    }
+
+    return status;
+}
+
+function checkManagedHook(managed, hook) {
+    const { manager, configFile } = managed;
+    const registered = registeredHookState(managed, hook);
+
+    if (!registered) {
+        return { installed: false, hookPath: configFile, manager: manager.name, reason: `No ${hook} hook registered with ${manager.name}` };
+    }
+
+    const { state, version } = registered;
+    const reasons = {
+        current: `Registered with ${manager.name}`,
+        outdated: `Registered with ${manager.name} but outdated (${version ? `v${version}` : 'unversioned'}, current v${VERSION})`,
+        modified: `Registered with ${manager.name} but the command was edited`
+    };
+    return { installed: true, hookPath: configFile, manager: manager.name, state, version, reason: reasons[state] };
+}
+
+/**
+ * Check which git hooks are installed, either as hook files or registered
+ * with a hook manager. `hooks` has the status of each hook type; the
+ * top-level fields summarize them.
+ */
+export function checkHookInstallation(targetDir = '.') {
+    try {
+        if (!isGitRepository(targetDir)) {
+            return { installed: false, reason: 'Not a git repository', hooks: {} };
         }
         
-        let hookContent;
-        try {
-            hookContent = fs.readFileSync(preCommitPath, 'utf8');
-        } catch (error) {
-            return { installed: false, reason: `Cannot read hook file: ${error.message}` };
+        const managed = detectHookManager(targetDir);
+        const hooksDir = resolveHooksDir(targetDir);
+        const hooks = {};
+        HOOK_TYPES.forEach(hook => {
+            hooks[hook] = managed ? checkManagedHook(managed, hook) : checkHook(hooksDir, hook);
+        });
+
+        const installed = HOOK_TYPES.filter(hook => hooks[hook].installed);
+        if (installed.length === 0) {
+            return { ...hooks['pre-commit'], hooks };
         }
-        
-        const isSecureCommitHook = hookContent.includes('Secure Project') || 
-                                   hookContent.includes('secure-commit');
-        
+
+        const stale = ['outdated', 'modified']
+            .map(state => [state, installed.filter(hook => hooks[hook].state === state)])
+            .filter(([, types]) => types.length > 0)
+            .map(([state, types]) => `${types.join(', ')} ${state === 'modified' ? 'locally modified' : state}`);
+
         return {
-            installed: isSecureCommitHook,
-            hookPath: preCommitPath,
-            reason: isSecureCommitHook ? 'Installed' : 'Different hook exists'
+            installed: true,
+            hookPath: hooks[installed[0]].hookPath,
+            reason: `Installed (${installed.join(', ')})${managed ? ` via ${managed.manager.name}` : ''}${stale.length > 0 ? `; ${stale.join('; ')}` : ''}`,
+            hooks
         };
     } catch (error) {
-        return { installed: false, reason: `Error: ${error.message}` };
+        return { installed: false, reason: `Error: ${error.message}`, hooks: {} };
     }
 }
 
+function writeHook(hookPath, hook) {
+    const content = renderHook(hook);
+
+    try {
+        fs.writeFileSync(hookPath, content);
+    } catch (error) {
+        throw new Error(`Cannot write hook file: ${error.message}`);
+    }
+    
+    // Make executable
+    try {
+        fs.chmodSync(hookPath, '755');
+    } catch (error) {
+        throw new Error(`Cannot make hook executable: ${error.message}`);
+    }
+}
+
+function registerHooks(managed, hooks, force) {
+    const { manager, configFile } = managed;
+
+    // Check every hook before changing the config
+    const results = hooks.map(hook => {
+        const status = checkManagedHook(managed, hook);
+
+        if (status.state === 'current') {
+            return { hook, hookPath: configFile, written: false, message: `Already registered with ${manager.name}` };
+        }
+        if (status.state === 'modified' && !force) {
+            throw new Error(`The ${hook} command in ${path.basename(configFile)} was edited. Use --force to replace it.`);
+        }
+        return { hook, hookPath: configFile, written: true, upgraded: status.installed ? status.version || 'unversioned' : null };
+    });
+
+    results.filter(result => result.written).forEach(result => {
+        if (result.upgraded) {
+            upgradeRegisteredHook(managed, result.hook);
+            const from = result.upgraded === 'unversioned' ? 'an unversioned command' : `v${result.upgraded}`;
+            result.message = `Upgraded from ${from} to v${VERSION} in ${manager.name}`;
+        } else {
+            manager.register(configFile, result.hook);
+            result.message = `Registered with ${manager.name}`;
+        }
+    });
+
+    return {
+        success: true,
+        message: results.some(result => result.written) ? `Hook registered with ${manager.name}` : 'Hook already installed',
+        hookPath: configFile,
+        manager: manager.name,
+        note: results.some(result => result.written) ? manager.note : undefined,
+        hooks: results
+    };
+}
+
 /**
- * Install git pre-commit hooks
+ * Install git hooks, `pre-commit` unless `hooks` lists other types.
+ *
+ * Projects that use husky, lefthook, simple-git-hooks or the pre-commit
+ * framework get the hooks registered in that tool's config. Otherwise hook
+ * files are written to the hooks directory; a different hook that is
+ * already there is kept as `<hook>.local` and runs before ours. Outdated
+ * secure-commit hooks and registered commands are upgraded in place, but
+ * ones edited since they were written are only overwritten with `force`.
  */
 export function installHooks(targetDir = '.', options = {}) {
-    const { force = false } = options;
+    const { force = false, hooks = ['pre-commit'] } = options;
     
     try {
-        const gitDir = path.join(targetDir, '.git');
-        const hooksDir = path.join(gitDir, 'hooks');
-        const preCommitPath = path.join(hooksDir, 'pre-commit');
-        
+        assertHookTypes(hooks);
+
         // Verify git repository
-        if (!fs.existsSync(gitDir)) {
+        if (!isGitRepository(targetDir)) {
             throw new Error('Not a git repository. Run "git init" first.');
         }
+
+        const managed = detectHookManager(targetDir);
+        if (managed) {
+            return registerHooks(managed, hooks, force);
+        }
         
         // Ensure hooks directory exists
+        const hooksDir = resolveHooksDir(targetDir);
         fs.ensureDirSync(hooksDir);
         
-        // Check if hook already exists
-        if (fs.existsSync(preCommitPath) && !force) {
-            let existingContent;
-            try {
-                existingContent = fs.readFileSync(preCommitPath, 'utf8');
-            } catch (error) {
-                throw new Error(`Cannot read existing hook file: ${error.message}`);
+        // Check every hook before writing any
+        const results = hooks.map(hook => {
+            const status = checkHook(hooksDir, hook);
+            const hookPath = path.join(hooksDir, hook);
+
+            if (status.installed && status.state === 'current' && !force) {
+                return { hook, hookPath, written: false, message: 'Hook already installed' };
             }
-            
-            if (existingContent.includes('Secure Project') || existingContent.includes('secure-commit')) {
-                return {
-                    success: true,
-                    message: 'Hook already installed',
-                    hookPath: preCommitPath
-                };
-            } else {
-                throw new Error('A different pre-commit hook already exists. Use --force to overwrite.');
+            if (status.installed && status.state === 'modified' && !force) {
+                throw new Error(`${hook} hook was edited locally. Move your changes to ${hook}.local, or use --force to overwrite them.`);
             }
-        }
-        
-        // Read template hook
-        const templatePath = path.join(path.dirname(new URL(import.meta.url).pathname), '..', 'templates', 'pre-commit');
-        let hookTemplate;
-        try {
-            hookTemplate = fs.readFileSync(templatePath, 'utf8');
-        } catch (error) {
-            throw new Error(`Cannot read hook template: ${error.message}`);
-        }
-        
-        // Write the hook
-        try {
-            fs.writeFileSync(preCommitPath, hookTemplate);
-        } catch (error) {
-            throw new Error(`Cannot write hook file: ${error.message}`);
-        }
-        
-        // Make executable
-        try {
-            fs.chmodSync(preCommitPath, '755');
-        } catch (error) {
-            throw new Error(`Cannot make hook executable: ${error.message}`);
-        }
+            if (status.installed && status.state === 'outdated' && !force) {
+                // Hooks from before versioning can't be told apart from edited ones, so keep a copy
+                const backup = status.version ? null : `${hookPath}.bak`;
+                return { hook, hookPath, written: true, upgraded: status.version || 'unversioned', backup };
+            }
+            if (status.hookPath && !status.installed && fs.existsSync(`${hookPath}.local`)) {
+                throw new Error(`Both ${hook} and ${hook}.local exist. Merge them into ${hook}.local, then run install again.`);
+            }
+            return { hook, hookPath, written: true, chained: Boolean(status.hookPath && !status.installed), message: 'Hook installed successfully' };
+        });
+
+        results.filter(result => result.written).forEach(result => {
+            if (result.backup) {
+                try {
+                    fs.copySync(result.hookPath, result.backup);
+                } catch (error) {
+                    throw new Error(`Cannot back up existing ${result.hook} hook: ${error.message}`);
+                }
+            }
+            if (result.upgraded) {
+                const from = result.upgraded === 'unversioned' ? 'an unversioned hook' : `v${result.upgraded}`;
+                result.message = `Hook upgraded from ${from} to v${VERSION}${result.backup ? `; the old hook is saved as ${result.hook}.bak` : ''}`;
+            }
+            if (result.chained) {
+                try {
+                    fs.renameSync(result.hookPath, `${result.hookPath}.local`);
+                } catch (error) {
+                    throw new Error(`Cannot preserve existing ${result.hook} hook: ${error.message}`);
+                }
+                result.message = `Hook installed; the existing hook now runs from ${result.hook}.local`;
+            }
+            writeHook(result.hookPath, result.hook);
+        });
         
         return {
             success: true,
-            message: 'Hook installed successfully',
-            hookPath: preCommitPath
+            message: results.some(result => result.written && !result.upgraded) ? 'Hook installed successfully'
+                : results.some(result => result.upgraded) ? 'Hook upgraded successfully' : 'Hook already installed',
+            hookPath: results[0].hookPath,
+            hooks: results
         };
         
     } catch (error) {
@@ -114,46 +335,75 @@ export function installHooks(targetDir = '.', options = {}) {
 }
 
 /**
- * Uninstall git pre-commit hooks
+ * Uninstall git hooks, every type secure-commit installed unless `hooks`
+ * lists some. Hooks that secure-commit didn't install are left in place, and
+ * a chained `<hook>.local` is moved back. Hooks edited since they were
+ * written, and unstamped ones that can't be checked, are only removed with
+ * `force`.
  */
-export function uninstallHooks(targetDir = '.') {
+export function uninstallHooks(targetDir = '.', options = {}) {
+    const { force = false, hooks = HOOK_TYPES } = options;
+
     try {
-        const gitDir = path.join(targetDir, '.git');
-        const hooksDir = path.join(gitDir, 'hooks');
-        const preCommitPath = path.join(hooksDir, 'pre-commit');
-        
-        if (!fs.existsSync(gitDir)) {
+        assertHookTypes(hooks);
+
+        if (!isGitRepository(targetDir)) {
             throw new Error('Not a git repository');
         }
         
-        if (!fs.existsSync(preCommitPath)) {
+        const managed = detectHookManager(targetDir);
+        const hooksDir = resolveHooksDir(targetDir);
+        const removed = [];
+        const foreign = [];
+
+        // Check every hook before removing any
+        const statuses = hooks.map(hook => ({ hook, ...(managed ? checkManagedHook(managed, hook) : checkHook(hooksDir, hook)) }));
+        const edited = statuses
+            .filter(status => status.installed && (status.state === 'modified' || (!managed && !status.version)))
+            .map(status => status.hook);
+
+        if (edited.length > 0 && !force) {
+            const advice = managed ? 'Use' : 'Move your changes to <hook>.local, or use';
+            throw new Error(`${edited.join(', ')} hook was edited or can't be verified. ${advice} --force to remove it anyway.`);
+        }
+
+        statuses.forEach(status => {
+            if (managed) {
+                if (status.installed) {
+                    managed.manager.unregister(managed.configFile, status.hook);
+                    removed.push(status.hook);
+                }
+                return;
+            }
+
+            // Verify it's our hook before removing
+            if (status.installed) {
+                fs.removeSync(status.hookPath);
+                if (status.chained) {
+                    fs.renameSync(status.chained, status.hookPath);
+                }
+                removed.push(status.hook);
+            } else if (status.hookPath) {
+                foreign.push(status.hook);
+            }
+        });
+
+        if (removed.length === 0 && foreign.length > 0) {
+            throw new Error(`${foreign.join(', ')} hook exists but was not installed by secure-commit. Remove manually if needed.`);
+        }
+
+        if (removed.length === 0) {
             return {
                 success: true,
-                message: 'No pre-commit hook found to remove'
+                message: 'No secure-commit hook found to remove',
+                removed
             };
         }
         
-        // Verify it's our hook before removing
-        let hookContent;
-        try {
-            hookContent = fs.readFileSync(preCommitPath, 'utf8');
-        } catch (error) {
-            throw new Error(`Cannot read hook file for verification: ${error.message}`);
-        }
-        
-        const isOurHook = hookContent.includes('Secure Project') || 
-                         hookContent.includes('secure-commit');
-        
-        if (!isOurHook) {
-            throw new Error('Pre-commit hook exists but was not installed by secure-commit. Remove manually if needed.');
-        }
-        
-        // Remove the hook
-        fs.removeSync(preCommitPath);
-        
         return {
             success: true,
-            message: 'Hook removed successfully'
+            message: 'Hook removed successfully',
+            removed
         };
         
     } catch (error) {
@@ -175,6 +425,15 @@ export function testHooks(targetDir = '.') {
             };
         }
         
+        // Hooks registered with a hook manager only run through it
+        const managed = Object.values(status.hooks).find(hook => hook.manager);
+        if (managed) {
+            return {
+                success: false,
+                message: `Hooks are registered with ${managed.manager}; test them through it`
+            };
+        }
+        
         // Try to run the hook directly
         const hookPath = status.hookPath;
         execSync(`bash "${hookPath}"`, { 
@@ -1,8 +1,14 @@
 // lib/index.js
 // Main entry point for secure-commit library
 
-export { detectFramework, scanDirectory, findTrackedSensitiveFiles } from './detector.js';
-export { updateGitignore, previewGitignoreChanges, validateGitignore } from './gitignore.js';
+export { detectFramework, scanDirectory, findTrackedSensitiveFiles, findUntrackedSensitiveFiles, scanStagedFiles, scanDiff } from './detector.js';
+export { updateGitignore, previewGitignoreChanges, validateGitignore, suggestGitignoreLine, GitignoreFile, IgnoreMatcher } from './gitignore.js';
 export { removeTrackedSensitiveFiles, previewCleanup, validateCleanupSafety } from './cleaner.js';
-export { installHooks, uninstallHooks, checkHookInstallation, testHooks } from './hooks.js';
-export { patterns } from './patterns.js';
\ No newline at end of file
+export { installHooks, uninstallHooks, checkHookInstallation, testHooks, resolveHooksDir, HOOK_TYPES } from './hooks.js';
+export { detectHookManager } from './managers.js';
+export { scanHistory, scanPush, parsePushUpdates } from './history.js';
+export { scanCommitMessage, scanMessages } from './messages.js';
+export { loadConfig, validateConfig, isSensitiveFile } from './config.js';
+export { createBaseline, loadBaseline, writeBaseline, applyBaseline } from './baseline.js';
+export { reporters, getReporter, SCHEMA_VERSION } from './reporters/index.js';
+export { secretPatterns } from './patterns.js';
\ No newline at end of file
@@ -0,0 +1,355 @@
+// lib/managers.js
+import fs from 'fs-extra';
+import path from 'path';
+import { VERSION } from './version.js';
+
+/**
+ * Hook managers own the git hooks directory, so secure-commit registers its
+ * hooks in their config instead of writing hook files. Each manager can
+ * `detect` its config file, build the `command` it should run for a hook
+ * type, find the `registeredCommand` and `register` or `unregister` it.
+ * `note` says what to run afterwards, if anything.
+ */
+
+const MARKER = 'secure-commit hook';
+
+/**
+ * The command a manager runs for a hook, stamped with the version that
+ * registered it. `arg` is how the manager refers to the first hook argument:
+ * the message file, or the remote for pre-push. Managers that append the
+ * arguments themselves pass none.
+ */
+function hookCommand(hook, arg = null) {
+    const command = `npx --no-install ${MARKER} ${hook} --hook-version ${VERSION}`;
+    return hook === 'pre-commit' || !arg ? command : `${command} ${arg}`;
+}
+
+function firstExisting(projectPath, files) {
+    return files.map(file => path.join(projectPath, file)).find(file => fs.existsSync(file)) || null;
+}
+
+function readLines(file) {
+    return fs.readFileSync(file, 'utf8').replace(/\n$/, '').split('\n');
+}
+
+function writeLines(file, lines) {
+    fs.writeFileSync(file, lines.join('\n').replace(/\n+$/, '') + '\n');
+}
+
+function indentOf(line) {
+    return line.search(/\S/);
+}
+
+/**
+ * The index just past the block that starts at `start`: the lines indented
+ * deeper than it, ignoring blank lines and comments in between
+ */
+function blockEnd(lines, start) {
+    const indent = indentOf(lines[start]);
+    let end = start + 1;
+
+    for (let next = start + 1; next < lines.length; next++) {
+        const text = lines[next];
+        if (text.trim() === '' || text.trim().startsWith('#')) {
+            continue;
+        }
+        if (indentOf(text) <= indent) {
+            break;
+        }
+        end = next + 1;
+    }
+
+    return end;
+}
+
+function findKey(lines, key, indent, from = 0, to = lines.length) {
+    for (let index = from; index < to; index++) {
+        if (lines[index] === `${' '.repeat(indent)}${key}:` || lines[index].startsWith(`${' '.repeat(indent)}${key}: `)) {
+            return index;
+        }
+    }
+    return -1;
+}
+
+// .husky/<hook> is a shell script; husky passes the hook's arguments and stdin on
+const husky = {
+    name: 'husky',
+    detect: projectPath => {
+        const dir = path.join(projectPath, '.husky');
+        return fs.existsSync(dir) && fs.statSync(dir).isDirectory() ? dir : null;
+    },
+    hookFile: (configFile, hook) => path.join(configFile, hook),
+    command: hook => hookCommand(hook, '"$@"'),
+    registeredCommand(configFile, hook) {
+        const file = this.hookFile(configFile, hook);
+        const line = fs.existsSync(file) ? readLines(file).find(text => text.includes(`${MARKER} ${hook}`)) : undefined;
+        return line === undefined ? null : line.trim();
+    },
+    register(configFile, hook) {
+        const file = this.hookFile(configFile, hook);
+        const command = this.command(hook);
+
+        if (fs.existsSync(file)) {
+            const content = fs.readFileSync(file, 'utf8');
+            fs.writeFileSync(file, `${content}${content.endsWith('\n') || content === '' ? '' : '\n'}${command}\n`);
+        } else {
+            fs.writeFileSync(file, `#!/usr/bin/env sh\n${command}\n`);
+            fs.chmodSync(file, '755');
+        }
+    },
+    unregister(configFile, hook) {
+        const file = this.hookFile(configFile, hook);
+        const remaining = readLines(file).filter(line => !line.includes(`${MARKER} ${hook}`));
+
+        // Remove the file if secure-commit was all it ran
+        if (remaining.every(line => line.trim() === '' || line.startsWith('#'))) {
+            fs.removeSync(file);
+        } else {
+            writeLines(file, remaining);
+        }
+    }
+};
+
+// lefthook.yml: <hook>.commands.secure-commit.run
+const lefthook = {
+    name: 'lefthook',
+    detect: projectPath => firstExisting(projectPath, ['lefthook.yml', '.lefthook.yml', 'lefthook.yaml', '.lefthook.yaml']),
+    note: 'Run `npx lefthook install` if lefthook did not manage this hook type before',
+    command: hook => hookCommand(hook, '{1}'),
+    registeredCommand(configFile, hook) {
+        const lines = readLines(configFile);
+        const hookLine = findKey(lines, hook, 0);
+        const line = hookLine === -1 ? undefined : lines.slice(hookLine, blockEnd(lines, hookLine)).find(text => text.includes(`${MARKER} ${hook}`));
+        return line === undefined ? null : line.trim().replace(/^run:\s*/, '');
+    },
+    register(configFile, hook) {
+        const lines = readLines(configFile);
+        const hookLine = findKey(lines, hook, 0);
+        const entry = unit => [
+            `${' '.repeat(unit * 2)}secure-commit:`,
+            `${' '.repeat(unit * 3)}run: ${this.command(hook)}`,
+            ...(hook === 'pre-push' ? [`${' '.repeat(unit * 3)}use_stdin: true`] : [])
+        ];
+
+        if (hookLine === -1) {
+            writeLines(configFile, [...lines, '', `${hook}:`, '  commands:', ...entry(2)]);
+            return;
+        }
+
+        const end = blockEnd(lines, hookLine);
+        const child = lines.slice(hookLine + 1, end).find(line => line.trim() !== '' && !line.trim().startsWith('#'));
+        const unit = child ? indentOf(child) : 2;
+        const commandsLine = findKey(lines, 'commands', unit, hookLine + 1, end);
+
+        if (commandsLine === -1) {
+            lines.splice(hookLine + 1, 0, `${' '.repeat(unit)}commands:`, ...entry(unit));
+        } else {
+            lines.splice(commandsLine + 1, 0, ...entry(unit));
+        }
+        writeLines(configFile, lines);
+    },
+    unregister(configFile, hook) {
+        const lines = readLines(configFile);
+        const hookLine = findKey(lines, hook, 0);
+        if (hookLine === -1) {
+            return;
+        }
+        const end = blockEnd(lines, hookLine);
+        const commandLine = lines.findIndex((line, index) => index > hookLine && index < end && line.trim() === 'secure-commit:');
+        if (commandLine === -1) {
+            return;
+        }
+
+        lines.splice(commandLine, blockEnd(lines, commandLine) - commandLine);
+
+        // Drop `commands:` and the hook itself when nothing else is left in them
+        const commandsLine = lines.findIndex((line, index) => index > hookLine && line.trim() === 'commands:');
+        if (commandsLine !== -1 && blockEnd(lines, commandsLine) === commandsLine + 1) {
+            lines.splice(commandsLine, 1);
+        }
+        if (blockEnd(lines, hookLine) === hookLine + 1) {
+            lines.splice(hookLine, 1);
+        }
+        writeLines(configFile, lines);
+    }
+};
+
+function readJson(file) {
+    const raw = fs.readFileSync(file, 'utf8');
+    return { data: JSON.parse(raw), indent: (raw.match(/^[ \t]+/m) || ['  '])[0] };
+}
+
+function writeJson(file, data, indent) {
+    fs.writeFileSync(file, JSON.stringify(data, null, indent) + '\n');
+}
+
+// simple-git-hooks: { "<hook>": "command" } in package.json or its own JSON file
+const simpleGitHooks = {
+    name: 'simple-git-hooks',
+    detect(projectPath) {
+        const configFile = firstExisting(projectPath, [
+            '.simple-git-hooks.json', 'simple-git-hooks.json',
+            '.simple-git-hooks.js', 'simple-git-hooks.js', '.simple-git-hooks.cjs', 'simple-git-hooks.cjs'
+        ]);
+        if (configFile) {
+            return configFile;
+        }
+
+        const packageJson = path.join(projectPath, 'package.json');
+        try {
+            return readJson(packageJson).data['simple-git-hooks'] ? packageJson : null;
+        } catch (error) {
+            return null;
+        }
+    },
+    note: 'Run `npx simple-git-hooks` to apply the new config',
+    command: hook => hookCommand(hook, '$1'),
+    config(configFile, hook) {
+        if (!configFile.endsWith('.json')) {
+            throw new Error(`Cannot edit ${path.basename(configFile)}; add "${this.command(hook)}" to its ${hook} entry manually`);
+        }
+
+        const { data, indent } = readJson(configFile);
+        const hooks = path.basename(configFile) === 'package.json' ? data['simple-git-hooks'] : data;
+        return { data, indent, hooks };
+    },
+    registeredCommand(configFile, hook) {
+        // A JavaScript config can't be edited, but the command may have been added by hand
+        if (!configFile.endsWith('.json')) {
+            const match = fs.readFileSync(configFile, 'utf8').match(new RegExp(`npx --no-install ${MARKER} ${hook}(?![\\w-])[^'"\`&\\n]*`));
+            return match ? match[0].trim() : null;
+        }
+
+        const { hooks } = this.config(configFile, hook);
+        const commands = typeof hooks[hook] === 'string' ? hooks[hook].split('&&').map(part => part.trim()) : [];
+        return commands.find(part => part.includes(`${MARKER} ${hook}`)) || null;
+    },
+    register(configFile, hook) {
+        const { data, indent, hooks } = this.config(configFile, hook);
+        const command = this.command(hook);
+
+        hooks[hook] = hooks[hook] ? `${hooks[hook]} && ${command}` : command;
+        writeJson(configFile, data, indent);
+    },
+    unregister(configFile, hook) {
+        const { data, indent, hooks } = this.config(configFile, hook);
+        const remaining = hooks[hook]
+            .split('&&')
+            .map(command => command.trim())
+            .filter(command => !command.includes(`${MARKER} ${hook}`));
+
+        if (remaining.length > 0) {
+            hooks[hook] = remaining.join(' && ');
+        } else {
+            delete hooks[hook];
+        }
+        writeJson(configFile, data, indent);
+    }
+};
+
+// .pre-commit-config.yaml: one `repo: local` entry per hook type
+const preCommitFramework = {
+    name: 'pre-commit',
+    detect: projectPath => firstExisting(projectPath, ['.pre-commit-config.yaml']),
+    note: 'Run `pre-commit install --hook-type <hook>` for each hook type you added',
+    command: hook => hookCommand(hook),
+    registeredCommand(configFile, hook) {
+        const lines = readLines(configFile);
+        const idLine = lines.findIndex(line => line.trim() === `- id: secure-commit-${hook}`);
+        const entry = idLine === -1 ? undefined : lines.slice(idLine + 1).find(line => line.trim().startsWith('entry:'));
+        return entry === undefined ? null : entry.trim().replace(/^entry:\s*/, '');
+    },
+    register(configFile, hook) {
+        const lines = readLines(configFile);
+        let reposLine = findKey(lines, 'repos', 0);
+
+        if (reposLine === -1) {
+            lines.push('repos:');
+            reposLine = lines.length - 1;
+        }
+
+        // New entries go at the end of the repos list, indented like the others
+        const end = blockEnd(lines, reposLine);
+        const item = lines.slice(reposLine + 1, end).find(line => line.trim().startsWith('- '));
+        const pad = ' '.repeat(item ? indentOf(item) : 0);
+
+        lines.splice(end, 0,
+            `${pad}- repo: local`,
+            `${pad}  hooks:`,
+            `${pad}    - id: secure-commit-${hook}`,
+            `${pad}      name: secure-commit (${hook})`,
+            `${pad}      entry: ${this.command(hook)}`,
+            `${pad}      language: system`,
+            `${pad}      always_run: true`,
+            // The commit-msg stage passes the message file
+            `${pad}      pass_filenames: ${hook === 'commit-msg'}`,
+            `${pad}      stages: [${hook}]`
+        );
+        writeLines(configFile, lines);
+    },
+    unregister(configFile, hook) {
+        const lines = readLines(configFile);
+        const idLine = lines.findIndex(line => line.trim() === `- id: secure-commit-${hook}`);
+
+        // The `- repo: local` item holding the hook
+        let start = idLine;
+        while (start > 0 && lines[start].trim() !== '- repo: local') {
+            start--;
+        }
+        const indent = indentOf(lines[start]);
+        let end = start + 1;
+        while (end < lines.length && (lines[end].trim() === '' || indentOf(lines[end]) > indent)) {
+            end++;
+        }
+
+        lines.splice(start, end - start);
+        writeLines(configFile, lines);
+    }
+};
+
+export const hookManagers = [husky, lefthook, simpleGitHooks, preCommitFramework];
+
+/**
+ * How the command registered for `hook` compares to the one this version
+ * would register, like the stamp check of hook files: `current`, `outdated`
+ * (stamped by another version, or registered before commands were stamped)
+ * or `modified` (edited since). Returns null when it isn't registered.
+ */
+export function registeredHookState({ manager, configFile }, hook) {
+    const registered = manager.registeredCommand(configFile, hook);
+    if (registered === null) {
+        return null;
+    }
+
+    const stamp = registered.match(/--hook-version (\S+)/);
+    const version = stamp ? stamp[1] : null;
+    if (registered === manager.command(hook)) {
+        return { state: 'current', version };
+    }
+    return { state: version === VERSION ? 'modified' : 'outdated', version };
+}
+
+/**
+ * Replace the registered command for `hook` with the current one, in place
+ */
+export function upgradeRegisteredHook({ manager, configFile }, hook) {
+    const file = manager.hookFile ? manager.hookFile(configFile, hook) : configFile;
+    const registered = manager.registeredCommand(configFile, hook);
+    const content = fs.readFileSync(file, 'utf8');
+
+    fs.writeFileSync(file, content.replace(registered, () => manager.command(hook)));
+}
+
+/**
+ * The first hook manager the project uses, with its config file (the
+ * `.husky` directory for husky), or null
+ */
+export function detectHookManager(projectPath = '.') {
+    for (const manager of hookManagers) {
+        const configFile = manager.detect(projectPath);
+        if (configFile) {
+            return { manager, configFile };
+        }
+    }
+    return null;
+}
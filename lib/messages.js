@@ -0,0 +1,132 @@
+// lib/messages.js
+import fs from 'fs';
+import path from 'path';
+import { runGit, assertRevision } from './git.js';
+import { scanLines, scanContent } from './detector.js';
+import { loadConfig } from './config.js';
+
+/**
+ * Where a blocked commit message is saved, next to the message file git
+ * passed to the hook
+ */
+export const RECOVERY_FILE = 'SECURE_COMMIT_EDITMSG';
+
+const RECORD_SEPARATOR = '\x1e';
+const FIELD_SEPARATOR = '\x1f';
+
+// Everything below this line is dropped by `git commit --verbose`
+const scissors = /^. -+ >8 -+$/;
+
+function commentChar(projectPath) {
+    try {
+        const configured = runGit(['config', 'core.commentChar'], projectPath).trim();
+        return configured && configured !== 'auto' ? configured : '#';
+    } catch (error) {
+        return '#';
+    }
+}
+
+/**
+ * The lines of a commit message file with their line numbers, up to the
+ * scissors line. Comment lines are kept: with `git commit -m` they are part
+ * of the message, and in the editor template they only list file names.
+ */
+export function readCommitMessage(messageFile, projectPath = '.') {
+    const marker = commentChar(projectPath);
+    const lines = [];
+
+    for (const [index, text] of fs.readFileSync(messageFile, 'utf8').split('\n').entries()) {
+        if (text.startsWith(marker) && scissors.test(text)) {
+            break;
+        }
+        lines.push({ line: index + 1, text });
+    }
+
+    return lines;
+}
+
+/**
+ * Run every rule over the commit message a commit-msg hook was given
+ */
+export function scanCommitMessage(messageFile, options = {}) {
+    const { projectPath = '.', config = loadConfig(projectPath) } = options;
+    return scanLines(readCommitMessage(messageFile, projectPath), 'COMMIT_EDITMSG', config);
+}
+
+/**
+ * Copy a blocked commit message next to the original, so it can be edited
+ * and reused with `git commit -e -F <file>`. Returns the copy's path.
+ */
+export function saveRecoveryMessage(messageFile) {
+    const recoveryPath = path.join(path.dirname(messageFile), RECOVERY_FILE);
+    fs.copyFileSync(messageFile, recoveryPath);
+    return recoveryPath;
+}
+
+function readRecords(args, projectPath) {
+    return runGit(args, projectPath)
+        .split(RECORD_SEPARATOR)
+        .map(record => record.replace(/^\n/, ''))
+        .filter(Boolean)
+        .map(record => record.split(FIELD_SEPARATOR));
+}
+
+function commitMessages(projectPath, revisions) {
+    const format = ['%H', '%an', '%ae', '%aI', '%B'].join(FIELD_SEPARATOR) + RECORD_SEPARATOR;
+
+    return readRecords(['log', `--format=${format}`, ...revisions, '--'], projectPath)
+        .map(([sha, author, email, date, body]) => ({ file: 'commit message', commit: sha, author: `${author} <${email}>`, date, text: body }));
+}
+
+function notes(projectPath, commits) {
+    const notesRefs = runGit(['for-each-ref', '--format=%(refname)', 'refs/notes/'], projectPath)
+        .split('\n')
+        .filter(Boolean);
+
+    return notesRefs.flatMap(ref => runGit(['notes', `--ref=${ref}`, 'list'], projectPath)
+        .split('\n')
+        .filter(Boolean)
+        .map(line => line.split(' '))
+        .filter(([, object]) => commits === null || commits.has(object))
+        .map(([blob, object]) => ({
+            file: `note ${ref.replace(/^refs\/notes\//, '')}`,
+            commit: object,
+            text: runGit(['cat-file', 'blob', blob], projectPath)
+        })));
+}
+
+function tagAnnotations(projectPath, commits) {
+    const format = ['%(objecttype)', '%(refname:short)', '%(*objectname)', '%(taggername) %(taggeremail)', '%(taggerdate:iso-strict)', '%(contents)'].join(FIELD_SEPARATOR) + RECORD_SEPARATOR;
+
+    return readRecords(['for-each-ref', `--format=${format}`, 'refs/tags/'], projectPath)
+        .filter(([type, , target]) => type === 'tag' && (commits === null || commits.has(target)))
+        .map(([, name, target, tagger, date, contents]) => ({ file: `tag ${name}`, commit: target, author: tagger, date, text: contents }));
+}
+
+/**
+ * Scan the text git stores next to the code: commit messages, git notes and
+ * annotated tags. With a range, only text attached to commits in the range
+ * is scanned. Findings name their source in `file`, e.g. `tag v1.2.0`.
+ */
+export function scanMessages(projectPath = '.', options = {}) {
+    const { range = null, config = loadConfig(projectPath), pushed = new Set(), includeSuppressed = false } = options;
+    const revisions = range === null ? ['--all'] : [].concat(range).map(assertRevision);
+
+    const messages = commitMessages(projectPath, revisions);
+    const byCommit = new Map(messages.map(message => [message.commit, message]));
+    const commits = range === null ? null : new Set(byCommit.keys());
+    const sources = [...messages, ...notes(projectPath, commits), ...tagAnnotations(projectPath, commits)];
+
+    return sources.flatMap(source => {
+        // Notes carry no author of their own, so show the annotated commit's
+        const { author = '', date = '' } = source.author ? source : byCommit.get(source.commit) || {};
+
+        return scanContent(source.text, source.file, config, { includeSuppressed }).map(finding => ({
+            ...finding,
+            commit: source.commit,
+            author,
+            date,
+            pushed: pushed.has(source.commit)
+        }));
+    });
+}
@@ -1,45 +1,438 @@
 // lib/patterns.js
+import { findHighEntropyStrings } from './entropy.js';
+import { findStructuredSecrets } from './structured.js';
+import { findAssignedSecrets } from './assignments.js';
+import { findPrivateKeyBlocks, findServiceAccountKeys } from './keys.js';
+import { findDatabaseUrls } from './databases.js';
+import { githubChecksum, validateGithubToken, validateAwsAccessKey, validateJwt } from './validators.js';
 
+// Builds example tokens at runtime, so this file never contains a string
+// that matches its own rules
+function repeat(chars, length) {
+    return chars.repeat(Math.ceil(length / chars.length)).slice(0, length);
+}
+
+function githubToken(prefix) {
+    const random = repeat('aB3d', 30);
+    return prefix + random + githubChecksum(random);
+}
+
+function base64Url(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64')
+        .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function pemBlock(label) {
+    return [
+        '-----BEGIN ' + label + '-----',
+        repeat('MIIEowIBAAKCAQEA', 64),
+        repeat('u1SU1LfVLPHCozMx', 64),
+        '-----END ' + label + '-----'
+    ].join('\n');
+}
+
+/**
+ * The rule catalog. Each rule has a `description`, a `severity` and a
+ * remediation `suggestion`, plus `examples` that must (positive) and must not
+ * (negative) be reported by it. Examples are plain lines, or
+ * `{ file, text }` when the rule depends on the file type.
+ * `npx secure-commit rules --verify` runs them.
+ *
+ * Rules with an offline `validate(value)` check mark matches that pass as
+ * validated. Matches that fail are dropped, or reported one severity lower
+ * when `onInvalid` is "downgrade".
+ *
+ * `publicPrefix` marks rules whose matches start with a documented vendor
+ * prefix (`AKIA`, `ghp_`, ...). Reports may show that prefix; every other
+ * match is masked whole.
+ */
 export const secretPatterns = {
     stripe_live: {
         pattern: /sk_live_[a-zA-Z0-9]{24}/g,
         description: "Stripe live API key",
-        suggestion: "Move to .env file - this exposes real payment processing!"
+        severity: "high",
+        publicPrefix: true,
+        suggestion: "Move to .env file - this exposes real payment processing!",
+        examples: {
+            positive: ['STRIPE_KEY=sk_live_' + repeat('aB3d', 24)],
+            negative: ['sk_live_' + repeat('aB3d', 10)]
+        }
     },
     stripe_test: {
         pattern: /sk_test_[a-zA-Z0-9]{24}/g,
         description: "Stripe test API key",
-        suggestion: "Move to .env file for consistency"
+        severity: "low",
+        publicPrefix: true,
+        suggestion: "Move to .env file for consistency",
+        examples: {
+            positive: ['sk_test_' + repeat('aB3d', 24)],
+            negative: ['sk_test_' + 'example']
+        }
     },
     openai: {
         pattern: /sk-[a-zA-Z0-9]{48}/g,
         description: "OpenAI API key",
-        suggestion: "Move to .env file - this costs money per request!"
+        severity: "medium",
+        publicPrefix: true,
+        suggestion: "Move to .env file - this costs money per request!",
+        examples: {
+            positive: ['sk-' + repeat('aB3d', 48)],
+            negative: ['sk-' + repeat('aB3d', 20)]
+        }
+    },
+    openai_project: {
+        pattern: /sk-(?:proj|svcacct|admin)-[A-Za-z0-9_-]{40,}/g,
+        description: "OpenAI project or service account key",
+        severity: "medium",
+        publicPrefix: true,
+        suggestion: "Revoke it in the OpenAI dashboard and load it from .env - this costs money per request!",
+        examples: {
+            positive: ['sk-proj-' + repeat('aB3-d_', 120), 'sk-svcacct-' + repeat('aB3-d_', 120)],
+            negative: ['sk-proj-' + 'abc123']
+        }
+    },
+    anthropic: {
+        pattern: /sk-ant-[a-z]+\d{2}-[A-Za-z0-9_-]{80,}/g,
+        description: "Anthropic API key",
+        severity: "medium",
+        publicPrefix: true,
+        suggestion: "Revoke it in the Anthropic console and load it from .env - this costs money per request!",
+        examples: {
+            positive: ['sk-ant-' + 'api03-' + repeat('aB3-d_', 93) + 'AA'],
+            negative: ['sk-ant-' + 'api03-' + 'short']
+        }
     },
     aws_access: {
-        pattern: /AKIA[0-9A-Z]{16}/g,
+        pattern: /(?:AKIA|ASIA)[0-9A-Z]{16}/g,
         description: "AWS Access Key",
-        suggestion: "Move to .env file - this can access your entire AWS account!"
+        severity: "high",
+        publicPrefix: true,
+        suggestion: "Move to .env file - this can access your entire AWS account!",
+        validate: validateAwsAccessKey,
+        onInvalid: "downgrade",
+        examples: {
+            positive: ['AKIA' + repeat('Z3Q7', 16), 'ASIA' + repeat('Z3Q7', 16), 'AKIA' + 'IOSFODNN7' + 'EXAMPLE'],
+            negative: ['AKIA' + 'abcdefghijklmnop']
+        }
     },
     github_token: {
         pattern: /ghp_[a-zA-Z0-9]{36}/g,
         description: "GitHub Personal Access Token",
-        suggestion: "Move to .env file - this can access your repos!"
+        severity: "medium",
+        publicPrefix: true,
+        suggestion: "Move to .env file - this can access your repos!",
+        validate: validateGithubToken,
+        examples: {
+            positive: [githubToken('ghp_')],
+            negative: ['ghp_' + 'short', 'ghp_' + repeat('aB3d', 36)]
+        }
+    },
+    github_fine_grained_pat: {
+        pattern: /github_pat_[A-Za-z0-9]{22}_[A-Za-z0-9]{59}/g,
+        description: "GitHub fine-grained personal access token",
+        severity: "medium",
+        publicPrefix: true,
+        suggestion: "Revoke it under Settings > Developer settings and load it from .env - this can access your repos!",
+        examples: {
+            positive: ['github_pat_' + repeat('aB3d', 22) + '_' + repeat('aB3d', 59)],
+            negative: ['github_pat_' + repeat('aB3d', 22)]
+        }
+    },
+    github_oauth: {
+        pattern: /gho_[A-Za-z0-9]{36}/g,
+        description: "GitHub OAuth access token",
+        severity: "medium",
+        publicPrefix: true,
+        suggestion: "Revoke the OAuth app's token and load it from .env",
+        validate: validateGithubToken,
+        examples: {
+            positive: [githubToken('gho_')],
+            negative: ['gho_' + 'short', 'gho_' + repeat('aB3d', 36)]
+        }
+    },
+    github_app_token: {
+        pattern: /gh[us]_[A-Za-z0-9]{36}/g,
+        description: "GitHub App user or installation token",
+        severity: "medium",
+        publicPrefix: true,
+        suggestion: "Revoke the token and have the app request a fresh one at runtime",
+        validate: validateGithubToken,
+        examples: {
+            positive: [githubToken('ghu_'), githubToken('ghs_')],
+            negative: ['ghx_' + repeat('aB3d', 36), 'ghs_' + repeat('aB3d', 36)]
+        }
+    },
+    github_refresh_token: {
+        pattern: /ghr_[A-Za-z0-9]{36,76}/g,
+        description: "GitHub App refresh token",
+        severity: "medium",
+        publicPrefix: true,
+        suggestion: "Revoke the token and store refresh tokens outside the repo",
+        examples: {
+            positive: ['ghr_' + repeat('aB3d', 76)],
+            negative: ['ghr_' + 'short']
+        }
     },
     google_api: {
         pattern: /AIza[0-9A-Za-z\\-_]{35}/g,
         description: "Google API Key",
-        suggestion: "Move to .env file"
+        severity: "low",
+        publicPrefix: true,
+        suggestion: "Move to .env file",
+        examples: {
+            positive: ['AIza' + repeat('aB3d', 35)],
+            negative: ['AIza' + 'short']
+        }
     },
     jwt_secret: {
         pattern: /['"](?:[^'"]*jwt[^'"]*secret[^'"]*|[^'"]*secret[^'"]*jwt[^'"]*)['"]\s*[=:]\s*['"][^'"]{32,}['"]/gi,
         description: "JWT Secret",
-        suggestion: "Move to .env file - this compromises all your user sessions!"
+        severity: "high",
+        suggestion: "Move to .env file - this compromises all your user sessions!",
+        examples: {
+            positive: ['"jwt_secret": "' + repeat('aB3d', 32) + '"'],
+            negative: ['"jwt_secret": "' + 'short' + '"']
+        }
     },
+    jwt: {
+        pattern: /eyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g,
+        description: "JSON Web Token",
+        severity: "medium",
+        publicPrefix: true,
+        suggestion: "Don't commit tokens - they grant access until they expire. Use short-lived tokens issued at runtime",
+        validate: validateJwt,
+        examples: {
+            positive: [base64Url({ alg: 'HS256', typ: 'JWT' }) + '.' + base64Url({ sub: '1234567890', iat: 1516239022 }) + '.' + repeat('aB3d_-', 43)],
+            negative: ['eyJ' + 'hello.eyJ' + 'world.abc']
+        }
+    },
+    // Only URLs with a password; one severity lower when every host is local
     database_url: {
-        pattern: /(mongodb|postgres|mysql):\/\/[^'"\s]+/g,
+        detect: findDatabaseUrls,
         description: "Database connection string",
-        suggestion: "Move to .env file - this exposes your database!"
+        severity: "high",
+        suggestion: "Move to .env file - this exposes your database!",
+        examples: {
+            positive: [
+                'postgres://' + 'app:s3cret@db.internal/app',
+                'mongodb+srv://' + 'app:s3cret@cluster0.example.mongodb.net/prod',
+                'rediss://' + ':s3cret@cache.example.com:6380',
+                'jdbc:sqlserver://' + 'sql.example.com:1433;databaseName=app;user=sa;password=s3cret'
+            ],
+            negative: [
+                'postgres://localhost/test',
+                'amqp://' + 'guest@broker.example.com',
+                'mysql://' + 'app:${DB_PASSWORD}@db.example.com/app',
+                'postgres is our database'
+            ]
+        }
+    },
+    slack_token: {
+        pattern: /xox[bp]-\d{10,13}-\d{10,13}(?:-\d{10,13})?-[A-Za-z0-9]{24,34}/g,
+        description: "Slack bot or user token",
+        severity: "high",
+        publicPrefix: true,
+        suggestion: "Revoke it at api.slack.com/apps and load it from .env - this can read your workspace's messages!",
+        examples: {
+            positive: [
+                'xoxb-' + '1234567890-1234567890123-' + repeat('aB3d', 24),
+                'xoxp-' + '1234567890-1234567890-1234567890123-' + repeat('0a1b', 32)
+            ],
+            negative: ['xoxb-' + 'not-a-token']
+        }
+    },
+    slack_webhook: {
+        pattern: /https:\/\/hooks\.slack\.com\/(?:services|workflows)\/T[A-Z0-9]{8,}\/B[A-Z0-9]{8,}\/[A-Za-z0-9]{24}/g,
+        description: "Slack incoming webhook URL",
+        severity: "medium",
+        publicPrefix: true,
+        suggestion: "Regenerate the webhook and load the URL from .env - anyone can post to your channel",
+        examples: {
+            positive: ['https://hooks.slack.com/services/' + 'T0123ABCD/B0123ABCD/' + repeat('aB3d', 24)],
+            negative: ['https://hooks.slack.com/services/' + 'T000/B000/XXXX']
+        }
+    },
+    twilio_api_key: {
+        pattern: /\bSK[0-9a-f]{32}\b/g,
+        description: "Twilio API key",
+        severity: "medium",
+        publicPrefix: true,
+        suggestion: "Delete the key in the Twilio console and load it from .env - this can send messages on your account",
+        examples: {
+            positive: ['SK' + repeat('0a1b2c3d', 32)],
+            negative: ['SK' + repeat('0a1b', 16)]
+        }
+    },
+    sendgrid: {
+        pattern: /SG\.[A-Za-z0-9_-]{22}\.[A-Za-z0-9_-]{43}/g,
+        description: "SendGrid API key",
+        severity: "high",
+        publicPrefix: true,
+        suggestion: "Delete the key in SendGrid and load it from .env - this can send email as you!",
+        examples: {
+            positive: ['SG.' + repeat('aB3d', 22) + '.' + repeat('aB3d', 43)],
+            negative: ['SG.' + 'abc.def']
+        }
+    },
+    npm_token: {
+        pattern: /npm_[A-Za-z0-9]{36}/g,
+        description: "npm access token",
+        severity: "high",
+        publicPrefix: true,
+        suggestion: "Revoke it with `npm token revoke` and use an automation token from CI secrets - this can publish your packages!",
+        examples: {
+            positive: ['//registry.npmjs.org/:_authToken=npm_' + repeat('aB3d', 36)],
+            negative: ['npm_' + 'install']
+        }
+    },
+    pypi_token: {
+        pattern: /pypi-AgEIcHlwaS5vcmc[A-Za-z0-9_-]{50,}/g,
+        description: "PyPI upload token",
+        severity: "high",
+        publicPrefix: true,
+        suggestion: "Remove the token on pypi.org and use trusted publishing or CI secrets - this can publish your packages!",
+        examples: {
+            positive: ['pypi-' + 'AgEIcHlwaS5vcmc' + repeat('aB3d_-', 80)],
+            negative: ['pypi-' + 'AgEI' + 'short']
+        }
+    },
+    azure_storage: {
+        // devstoreaccount1 is the Azurite emulator's published key
+        pattern: /DefaultEndpointsProtocol=https?;AccountName=(?!devstoreaccount1;)[a-z0-9]{3,24};AccountKey=[A-Za-z0-9+/]{86}==/g,
+        description: "Azure storage account connection string",
+        severity: "high",
+        suggestion: "Rotate the account key in the Azure portal and use a managed identity or Key Vault",
+        examples: {
+            positive: ['DefaultEndpointsProtocol=https;AccountName=' + 'myaccount;AccountKey=' + repeat('aB3d+/', 86) + '=='],
+            negative: ['DefaultEndpointsProtocol=http;AccountName=' + 'devstoreaccount1;AccountKey=' + repeat('aB3d+/', 86) + '==']
+        }
+    },
+    mailgun: {
+        pattern: /\bkey-[0-9a-f]{32}\b/g,
+        description: "Mailgun API key",
+        severity: "medium",
+        publicPrefix: true,
+        suggestion: "Rotate it in the Mailgun dashboard and load it from .env - this can send email as you",
+        examples: {
+            positive: ['key-' + repeat('0a1b2c3d', 32)],
+            negative: ['key-' + 'value']
+        }
+    },
+    shopify: {
+        pattern: /shp(?:at|ca|pa|ss)_[a-fA-F0-9]{32}/g,
+        description: "Shopify access token",
+        severity: "high",
+        publicPrefix: true,
+        suggestion: "Rotate it in the Shopify admin and load it from .env - this can access your store's data!",
+        examples: {
+            positive: ['shpat_' + repeat('0a1b2c3d', 32), 'shpss_' + repeat('0a1b2c3d', 32)],
+            negative: ['shpat_' + 'xyz']
+        }
+    },
+    discord_bot_token: {
+        pattern: /\b[MN][A-Za-z\d]{23,25}\.[\w-]{6}\.[\w-]{27,38}\b/g,
+        description: "Discord bot token",
+        severity: "medium",
+        suggestion: "Reset the token in the Discord developer portal and load it from .env",
+        examples: {
+            positive: ['MTk4NjIyNDgzNDcx' + 'OTI1MjQ4.Cl2FMQ.' + repeat('aB3d_-', 27)],
+            negative: ['MTk4' + '.abc.def']
+        }
+    },
+    discord_webhook: {
+        pattern: /https:\/\/(?:ptb\.|canary\.)?discord(?:app)?\.com\/api\/webhooks\/\d+\/[\w-]{60,68}/g,
+        description: "Discord webhook URL",
+        severity: "medium",
+        publicPrefix: true,
+        suggestion: "Delete the webhook in the channel settings and load the URL from .env",
+        examples: {
+            positive: ['https://discord.com/api/webhooks/' + '123456789012345678/' + repeat('aB3d_-', 68)],
+            negative: ['https://discord.com/api/webhooks/' + '{id}/{token}']
+        }
+    },
+    gcp_service_account: {
+        analyze: findServiceAccountKeys,
+        description: "Google Cloud service account key",
+        severity: "high",
+        suggestion: "Delete this key in the Cloud console and use workload identity or a secrets manager instead",
+        examples: {
+            positive: [{
+                file: 'key.json',
+                text: [
+                    '{',
+                    '  "type": "service_account",',
+                    '  "private_key": ' + JSON.stringify(pemBlock('PRIVATE KEY')) + ',',
+                    '  "client_email": "ci@demo.iam.gserviceaccount.com"',
+                    '}'
+                ].join('\n')
+            }],
+            negative: [{ file: 'key.json', text: '{ "type": "service_account", "client_email": "ci@demo.iam.gserviceaccount.com" }' }]
+        }
+    },
+    private_key: {
+        analyze: findPrivateKeyBlocks,
+        description: "Private key",
+        severity: "high",
+        suggestion: "Remove it and rotate the key pair - anyone with the repo can use it",
+        examples: {
+            positive: [
+                { file: 'config.js', text: 'const key = `' + pemBlock('RSA PRIVATE KEY') + '`;' },
+                { file: 'deploy_key.txt', text: pemBlock('OPENSSH PRIVATE KEY') }
+            ],
+            negative: [{ file: 'check.js', text: "if (pem.startsWith('" + '-----BEGIN ' + "PRIVATE KEY-----')) {}" }]
+        }
+    },
+    // Generic rules only report strings that no rule above already matched
+    config_file_secret: {
+        analyze: findStructuredSecrets,
+        generic: true,
+        description: "Hard-coded secret in configuration file",
+        severity: "medium",
+        suggestion: "Reference an environment variable instead, e.g. ${DB_PASSWORD}",
+        examples: {
+            positive: [
+                { file: 'config.yaml', text: 'database:\n  prod:\n    password: ' + 'hunter2butlonger' },
+                { file: '.env', text: 'DB_PASSWORD=' + 's3cr3tpass' }
+            ],
+            negative: [
+                { file: 'config.yaml', text: 'database:\n  password: ${DB_PASSWORD}' },
+                { file: '.env.example', text: 'DB_PASSWORD=changeme' }
+            ]
+        }
+    },
+    hardcoded_credential: {
+        detect: findAssignedSecrets,
+        generic: true,
+        description: "Hard-coded credential in source code",
+        severity: "medium",
+        suggestion: "Read it from an environment variable, e.g. process.env.API_TOKEN",
+        examples: {
+            positive: [
+                { file: 'app.js', text: 'const apiSecret = "' + 's3cr3tValue99' + '";' },
+                { file: 'settings.py', text: "API_TOKEN = '" + "abc123def456'" },
+                { file: 'Config.java', text: 'private static final String KEY = "' + 's3cretValue123' + '";' },
+                { file: 'config.php', text: "$password = '" + "hunter2hunter2';" },
+                { file: 'config.php', text: "define('API_SECRET', '" + "s3cretValue123');" }
+            ],
+            negative: [
+                { file: 'app.js', text: 'const apiSecret = process.env.API_SECRET;' },
+                { file: 'settings.py', text: "API_TOKEN = os.environ['API_TOKEN']" },
+                { file: 'linter.js', text: 'const methods = { getFirstToken: "getFirstToken" };' },
+                { file: 'Cache.java', text: 'String key = "user_profile";' }
+            ]
+        }
+    },
+    // Catches tokens with no known prefix
+    high_entropy_string: {
+        detect: findHighEntropyStrings,
+        generic: true,
+        description: "High-entropy string",
+        severity: "low",
+        suggestion: "If this is a credential, move it to .env file; otherwise suppress it with a reason",
+        examples: {
+            positive: [{ file: 'app.js', text: 'const id = "' + 'q8Zr4Lw2XbN9vT1k' + 'Py7sHd3FjM6cGe0a' + '";' }],
+            negative: [{ file: 'app.js', text: 'const id = "123e4567-e89b-12d3-a456-426614174000";' }]
+        }
     }
 };
 
@@ -108,7 +501,8 @@ export const fileExtensions = [
     '.js', '.ts', '.jsx', '.tsx',
     '.py', '.rb', '.php', '.java',
     '.env', '.json', '.yaml', '.yml',
-    '.txt', '.md', '.config'
+    '.txt', '.md', '.config',
+    '.ini', '.cfg', '.properties'
 ];
 
 export const ignoreDirs = [
@@ -121,4 +515,26 @@ export const ignoreDirs = [
     '.venv',
     'env',
     'target'
-];
\ No newline at end of file
+];
+
+// Comment openers recognised for secure-commit:ignore comments, per extension
+export const commentSyntax = {
+    '.js': ['//', '/*'],
+    '.ts': ['//', '/*'],
+    '.jsx': ['//', '/*'],
+    '.tsx': ['//', '/*'],
+    '.java': ['//', '/*'],
+    '.php': ['//', '/*', '#'],
+    '.py': ['#'],
+    '.rb': ['#'],
+    '.env': ['#'],
+    '.yaml': ['#'],
+    '.yml': ['#'],
+    '.json': ['//', '/*'],  // JSONC, e.g. tsconfig.json
+    '.ini': [';', '#'],
+    '.cfg': [';', '#'],
+    '.properties': ['#', '!'],
+    '.md': ['<!--'],
+    '.txt': ['//', '/*', '#', '<!--'],
+    '.config': ['#', '//', '<!--']
+};
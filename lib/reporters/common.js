@@ -0,0 +1,124 @@
+// lib/reporters/common.js
+import path from 'path';
+import { VERSION } from '../version.js';
+
+/**
+ * Version of the JSON, JSONL, JUnit and CSV report schema. Bump the major
+ * part when a field is removed or changes meaning; adding fields is a minor bump.
+ */
+export const SCHEMA_VERSION = '1.3';
+
+export const trackedFileRule = {
+    id: 'tracked_sensitive_file',
+    description: 'Sensitive file tracked in git',
+    severity: 'high',
+    suggestion: 'Run `npx secure-commit clean` to stop tracking it, then add it to .gitignore'
+};
+
+function toPosix(file) {
+    return file.split(path.sep).join('/');
+}
+
+/**
+ * The fields of a secret finding that reports expose. The matched value is
+ * only ever the truncated preview shown in the console.
+ */
+export function serializeFinding(finding) {
+    const entry = {
+        kind: 'secret',
+        rule: finding.type,
+        description: finding.description,
+        severity: finding.severity,
+        file: toPosix(finding.file),
+        line: finding.line,
+        match: finding.match,
+        suggestion: finding.suggestion,
+        fingerprint: finding.fingerprint
+    };
+
+    if (finding.confidence) {
+        entry.confidence = finding.confidence;
+    }
+
+    if (finding.endLine) {
+        entry.endLine = finding.endLine;
+    }
+
+    if (finding.key) {
+        entry.key = finding.key;
+    }
+
+    if (finding.encoding) {
+        entry.encoding = finding.encoding;
+    }
+
+    if (finding.submodule) {
+        entry.submodule = finding.submodule;
+    }
+
+    if (finding.commit) {
+        entry.commit = finding.commit;
+        entry.author = finding.author;
+        entry.date = finding.date;
+        entry.pushed = finding.pushed;
+    }
+
+    if (finding.suppressed) {
+        entry.suppressed = true;
+        entry.suppressionReason = finding.suppressed.reason;
+    }
+
+    return entry;
+}
+
+/**
+ * The fields of a tracked sensitive file that reports expose
+ */
+export function serializeTrackedFile(file) {
+    return {
+        kind: 'tracked_file',
+        rule: trackedFileRule.id,
+        description: trackedFileRule.description,
+        severity: trackedFileRule.severity,
+        file: toPosix(file),
+        suggestion: trackedFileRule.suggestion
+    };
+}
+
+/**
+ * Serialize every entry of a scan result, secrets first
+ */
+export function serializeResults({ findings = [], trackedFiles = [] }) {
+    return [
+        ...findings.map(serializeFinding),
+        ...trackedFiles.map(serializeTrackedFile)
+    ];
+}
+
+/**
+ * Header fields shared by every report
+ */
+export function reportMetadata() {
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        tool: { name: 'secure-commit', version: VERSION },
+        generatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Count active (not suppressed) entries by severity
+ */
+export function summarize(entries) {
+    const active = entries.filter(entry => !entry.suppressed);
+
+    return {
+        total: active.length,
+        secrets: active.filter(entry => entry.kind === 'secret').length,
+        trackedFiles: active.filter(entry => entry.kind === 'tracked_file').length,
+        suppressed: entries.length - active.length,
+        high: active.filter(entry => entry.severity === 'high').length,
+        medium: active.filter(entry => entry.severity === 'medium').length,
+        low: active.filter(entry => entry.severity === 'low').length
+    };
+}
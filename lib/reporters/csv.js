@@ -0,0 +1,56 @@
+// lib/reporters/csv.js
+import { SCHEMA_VERSION, serializeResults } from './common.js';
+
+const columns = [
+    'schema_version', 'kind', 'rule', 'severity', 'description', 'file', 'line',
+    'match', 'suggestion', 'fingerprint', 'commit', 'author', 'date', 'pushed',
+    'suppressed', 'suppression_reason', 'key', 'end_line', 'confidence', 'encoding', 'submodule'
+];
+
+function escapeCsv(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+
+    let text = String(value);
+
+    // Keep spreadsheet apps from evaluating cells as formulas
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per finding or tracked file, for spreadsheets
+ */
+export function formatCsv(results) {
+    const rows = serializeResults(results).map(entry => [
+        SCHEMA_VERSION,
+        entry.kind,
+        entry.rule,
+        entry.severity,
+        entry.description,
+        entry.file,
+        entry.line,
+        entry.match,
+        entry.suggestion,
+        entry.fingerprint,
+        entry.commit,
+        entry.author,
+        entry.date,
+        entry.pushed,
+        entry.suppressed || false,
+        entry.suppressionReason,
+        entry.key,
+        entry.endLine,
+        entry.confidence,
+        entry.encoding && entry.encoding.join(' > '),
+        entry.submodule
+    ]);
+
+    return [columns, ...rows]
+        .map(row => row.map(escapeCsv).join(','))
+        .join('\r\n') + '\r\n';
+}
@@ -0,0 +1,306 @@
+// lib/reporters/html.js
+import fs from 'fs';
+import path from 'path';
+import { reportMetadata, serializeTrackedFile } from './common.js';
+import { secretPatterns } from '../patterns.js';
+
+const CONTEXT_LINES = 2;
+
+const severityLabels = {
+    high: 'High risk',
+    medium: 'Medium risk',
+    low: 'Low risk'
+};
+
+const colors = {
+    high: '#c62828',
+    medium: '#ef6c00',
+    low: '#1565c0',
+    tracked: '#6a1b9a'
+};
+
+const styles = `
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 0; color: #222; background: #f6f7f9; }
+    header { background: #1f2933; color: #fff; padding: 24px 40px; }
+    header p { margin: 4px 0 0; color: #cbd2d9; font-size: 14px; }
+    main { padding: 24px 40px; max-width: 1100px; }
+    section { background: #fff; border-radius: 6px; padding: 16px 24px; margin-bottom: 24px; box-shadow: 0 1px 2px rgba(0,0,0,.08); }
+    h2 { margin-top: 0; }
+    .cards { display: flex; gap: 16px; flex-wrap: wrap; margin-bottom: 16px; }
+    .card { border-left: 4px solid #999; padding: 8px 16px; background: #fafafa; min-width: 110px; }
+    .card strong { display: block; font-size: 24px; }
+    details { margin: 8px 0; }
+    summary { cursor: pointer; font-weight: 600; }
+    .finding { border-left: 3px solid #ccc; margin: 12px 0 12px 8px; padding: 4px 12px; }
+    .finding .meta { font-size: 13px; color: #555; }
+    pre { background: #1f2933; color: #e4e7eb; padding: 8px 0; overflow-x: auto; font-size: 13px; border-radius: 4px; }
+    pre span.line { display: block; padding: 0 12px; }
+    pre span.hit { background: #4a2323; }
+    pre span.num { display: inline-block; width: 48px; color: #7b8794; user-select: none; }
+    mark { background: #f9a825; color: #000; border-radius: 2px; }
+    .ok { color: #2e7d32; }
+    .bad { color: #c62828; }
+    ul.plain { padding-left: 20px; }
+`;
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function groupBy(items, key) {
+    return items.reduce((groups, item) => {
+        const value = item[key];
+        groups[value] = groups[value] || [];
+        groups[value].push(item);
+        return groups;
+    }, {});
+}
+
+/**
+ * Render a line with every matched secret masked, so the report never
+ * contains a usable secret. Rules with a public vendor prefix keep its first
+ * four characters to show what kind of key it is.
+ */
+function renderRedactedLine(text, ranges) {
+    const sorted = ranges
+        .map(({ column, length, type }) => ({
+            start: column - 1,
+            end: column - 1 + length,
+            shown: secretPatterns[type]?.publicPrefix ? 4 : 0
+        }))
+        .sort((a, b) => a.start - b.start);
+
+    let html = '';
+    let position = 0;
+
+    sorted.forEach(({ start, end, shown }) => {
+        if (end <= position) {
+            return;
+        }
+        const from = Math.max(start, position);
+        html += escapeHtml(text.slice(position, from));
+        html += `<mark>${escapeHtml(text.slice(from, from + shown))}••••••</mark>`;
+        position = end;
+    });
+
+    return html + escapeHtml(text.slice(position));
+}
+
+function readLines(projectPath, file, cache) {
+    if (!cache.has(file)) {
+        try {
+            cache.set(file, fs.readFileSync(path.join(projectPath, file), 'utf8').split('\n'));
+        } catch (error) {
+            cache.set(file, null);
+        }
+    }
+    return cache.get(file);
+}
+
+function renderSnippet(finding, fileFindings, lines) {
+    // History findings, or files that changed since the scan, only get the preview
+    if (!lines || finding.commit || finding.column === undefined) {
+        return `<pre><span class="line hit"><span class="num">${finding.line}</span>${escapeHtml(finding.match)}</span></pre>`;
+    }
+
+    const first = Math.max(1, finding.line - CONTEXT_LINES);
+    const last = Math.min(lines.length, (finding.endLine || finding.line) + CONTEXT_LINES);
+    const rows = [];
+
+    for (let number = first; number <= last; number++) {
+        const text = lines[number - 1];
+        const ranges = fileFindings
+            .filter(other => other.column !== undefined && other.line <= number && number <= (other.endLine || other.line))
+            // Later lines of a multi-line secret, such as a private key, are masked whole
+            .map(other => (other.line === number ? other : { column: 1, length: text.length, type: other.type }));
+        const hit = number >= finding.line && number <= (finding.endLine || finding.line) ? ' hit' : '';
+        rows.push(`<span class="line${hit}"><span class="num">${number}</span>${renderRedactedLine(text, ranges)}</span>`);
+    }
+
+    return `<pre>${rows.join('')}</pre>`;
+}
+
+function renderFinding(finding, fileFindings, lines) {
+    const commit = finding.commit
+        ? ` · commit ${escapeHtml(finding.commit.slice(0, 10))} by ${escapeHtml(finding.author)} (${finding.pushed ? 'already pushed' : 'not pushed'})`
+        : '';
+    const suppressed = finding.suppressed
+        ? `<p class="meta">Suppressed: ${escapeHtml(finding.suppressed.reason)}</p>`
+        : '';
+
+    return `<div class="finding" style="border-color: ${colors[finding.severity] || '#999'}">
+        <div><strong>${escapeHtml(finding.description)}</strong>${finding.confidence ? ` <span class="meta">(${escapeHtml(finding.confidence)})</span>` : ''}</div>
+        <div class="meta">${escapeHtml(finding.type)} · ${finding.endLine ? `lines ${finding.line}-${finding.endLine}` : `line ${finding.line}`}${finding.key ? ` · <code>${escapeHtml(finding.key)}</code>` : ''}${finding.encoding ? ` · decoded from ${escapeHtml(finding.encoding.join(' > '))}` : ''}${finding.submodule ? ` · submodule <code>${escapeHtml(finding.submodule)}</code>` : ''}${commit}</div>
+        ${renderSnippet(finding, fileFindings, lines)}
+        <p>💡 ${escapeHtml(finding.suggestion)}</p>
+        ${suppressed}
+    </div>`;
+}
+
+function renderFileGroups(findings, allFindings, projectPath, cache) {
+    const byFile = groupBy(findings, 'file');
+
+    return Object.keys(byFile).sort().map(file => {
+        const fileFindings = allFindings.filter(finding => finding.file === file);
+        const lines = readLines(projectPath, file, cache);
+        const items = byFile[file]
+            .sort((a, b) => a.line - b.line)
+            .map(finding => renderFinding(finding, fileFindings, lines))
+            .join('\n');
+
+        return `<details open><summary>📁 ${escapeHtml(file)} (${byFile[file].length})</summary>${items}</details>`;
+    }).join('\n');
+}
+
+/**
+ * Horizontal bar chart of active findings by severity, plus tracked files
+ */
+function renderChart(counts) {
+    const bars = [
+        ['High', counts.high, colors.high],
+        ['Medium', counts.medium, colors.medium],
+        ['Low', counts.low, colors.low],
+        ['Tracked files', counts.tracked, colors.tracked]
+    ];
+    const max = Math.max(1, ...bars.map(([, value]) => value));
+    const width = 420;
+
+    const rows = bars.map(([label, value, color], index) => {
+        const y = index * 30;
+        const barWidth = Math.round((value / max) * (width - 170));
+        return `<text x="0" y="${y + 17}" font-size="13">${label}</text>` +
+            `<rect x="110" y="${y + 4}" width="${barWidth}" height="18" fill="${color}" rx="2"/>` +
+            `<text x="${116 + barWidth}" y="${y + 17}" font-size="13">${value}</text>`;
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${bars.length * 30}" role="img" aria-label="Findings by severity">${rows.join('')}</svg>`;
+}
+
+function renderHookStatus(hookStatus) {
+    if (!hookStatus) {
+        return '<p>Not checked.</p>';
+    }
+
+    const cls = hookStatus.installed ? 'ok' : 'bad';
+    const icon = hookStatus.installed ? '✅' : '❌';
+    const hookPath = hookStatus.hookPath ? ` (<code>${escapeHtml(hookStatus.hookPath)}</code>)` : '';
+
+    return `<p class="${cls}">${icon} ${escapeHtml(hookStatus.reason)}${hookPath}</p>`;
+}
+
+function renderGitignore(validation) {
+    if (!validation) {
+        return '<p>Not checked.</p>';
+    }
+
+    if (validation.valid) {
+        return '<p class="ok">✅ .gitignore covers the recommended patterns</p>';
+    }
+
+    const issues = validation.issues.map(issue => `<li>${escapeHtml(issue)}</li>`).join('');
+    const suggestions = validation.suggestions.map(suggestion => `<li>${escapeHtml(suggestion)}</li>`).join('');
+
+    return `<p class="bad">❌ ${validation.issues.length} issue(s)</p><ul class="plain">${issues}</ul>` +
+        (suggestions ? `<p>Suggestions:</p><ul class="plain">${suggestions}</ul>` : '');
+}
+
+/**
+ * A single offline HTML file for people who never open a terminal. Findings
+ * are grouped by severity and file, with redacted snippets in context.
+ * `maskFindings` lists every finding before --baseline filtered them, so
+ * baselined secrets on context lines are masked too.
+ */
+export function formatHtml(results) {
+    const {
+        findings = [],
+        maskFindings = findings,
+        trackedFiles = [],
+        projectPath = '.',
+        hookStatus = null,
+        gitignore = null
+    } = results;
+
+    const metadata = reportMetadata();
+    const active = findings.filter(finding => !finding.suppressed);
+    const suppressed = findings.filter(finding => finding.suppressed);
+    const bySeverity = groupBy(active, 'severity');
+    const cache = new Map();
+
+    const counts = {
+        high: (bySeverity.high || []).length,
+        medium: (bySeverity.medium || []).length,
+        low: (bySeverity.low || []).length,
+        tracked: trackedFiles.length
+    };
+
+    const cards = [
+        ['Secrets', active.length, '#1f2933'],
+        ['High', counts.high, colors.high],
+        ['Medium', counts.medium, colors.medium],
+        ['Low', counts.low, colors.low],
+        ['Tracked files', counts.tracked, colors.tracked],
+        ['Suppressed', suppressed.length, '#999']
+    ].map(([label, value, color]) => `<div class="card" style="border-color: ${color}"><strong>${value}</strong>${label}</div>`).join('');
+
+    const severitySections = ['high', 'medium', 'low']
+        .filter(severity => bySeverity[severity])
+        .map(severity => `<h3 style="color: ${colors[severity]}">${severityLabels[severity]} (${bySeverity[severity].length})</h3>` +
+            renderFileGroups(bySeverity[severity], maskFindings, projectPath, cache))
+        .join('\n');
+
+    const tracked = trackedFiles.length === 0
+        ? '<p class="ok">✅ No sensitive files tracked in git</p>'
+        : `<ul class="plain">${trackedFiles.map(file => {
+            const entry = serializeTrackedFile(file);
+            return `<li><code>${escapeHtml(entry.file)}</code> - ${escapeHtml(entry.suggestion)}</li>`;
+        }).join('')}</ul>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>secure-commit report</title>
+<style>${styles}</style>
+</head>
+<body>
+<header>
+    <h1>🛡️ secure-commit report</h1>
+    <p>Generated ${escapeHtml(metadata.generatedAt)} by secure-commit ${escapeHtml(metadata.tool.version)} · schema ${metadata.schemaVersion}</p>
+</header>
+<main>
+<section>
+    <h2>Summary</h2>
+    <div class="cards">${cards}</div>
+    ${renderChart(counts)}
+</section>
+<section>
+    <h2>Findings</h2>
+    ${active.length === 0 ? '<p class="ok">✅ No secrets detected</p>' : severitySections}
+</section>
+<section>
+    <h2>Tracked sensitive files</h2>
+    ${tracked}
+</section>
+<section>
+    <h2>Git hooks</h2>
+    ${renderHookStatus(hookStatus)}
+</section>
+<section>
+    <h2>.gitignore</h2>
+    ${renderGitignore(gitignore)}
+</section>
+${suppressed.length === 0 ? '' : `<section>
+    <h2>Suppressed findings (${suppressed.length})</h2>
+    ${renderFileGroups(suppressed, maskFindings, projectPath, cache)}
+</section>`}
+</main>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,53 @@
+// lib/reporters/index.js
+import fs from 'fs';
+import { formatSarif } from './sarif.js';
+import { formatJson, formatJsonLines } from './json.js';
+import { formatJunit } from './junit.js';
+import { formatCsv } from './csv.js';
+import { formatHtml } from './html.js';
+
+export { SCHEMA_VERSION } from './common.js';
+
+/**
+ * Reporters take `{ findings, trackedFiles, config }` and return the report
+ * text. Full working-tree scans also pass `projectPath`, `hookStatus` and
+ * `gitignore` (the result of validateGitignore). `maskFindings` holds every
+ * finding from before --baseline was applied.
+ */
+export const reporters = {
+    sarif: formatSarif,
+    json: formatJson,
+    jsonl: formatJsonLines,
+    junit: formatJunit,
+    csv: formatCsv,
+    html: formatHtml
+};
+
+/**
+ * Look up a reporter by its --format name
+ */
+export function getReporter(format) {
+    const reporter = reporters[format];
+
+    if (!reporter) {
+        throw new Error(`Unknown format "${format}" (expected console, ${Object.keys(reporters).join(', ')})`);
+    }
+
+    return reporter;
+}
+
+/**
+ * Write a formatted report to a file, or to stdout when no path is given
+ */
+export function writeReport(content, outputPath = null) {
+    if (!outputPath) {
+        process.stdout.write(content);
+        return;
+    }
+
+    try {
+        fs.writeFileSync(outputPath, content, 'utf8');
+    } catch (error) {
+        throw new Error(`Failed to write report: ${error.message}`);
+    }
+}
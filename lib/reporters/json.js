@@ -0,0 +1,32 @@
+// lib/reporters/json.js
+import { reportMetadata, serializeResults, summarize } from './common.js';
+
+/**
+ * A single JSON document for scripts
+ */
+export function formatJson(results) {
+    const entries = serializeResults(results);
+
+    const report = {
+        ...reportMetadata(),
+        summary: summarize(entries),
+        findings: entries.filter(entry => entry.kind === 'secret'),
+        trackedFiles: entries.filter(entry => entry.kind === 'tracked_file')
+    };
+
+    return JSON.stringify(report, null, 2) + '\n';
+}
+
+/**
+ * One JSON object per line for log pipelines. Every line carries the schema
+ * version; the last line is a summary record.
+ */
+export function formatJsonLines(results) {
+    const metadata = reportMetadata();
+    const entries = serializeResults(results);
+
+    const lines = entries.map(entry => JSON.stringify({ ...metadata, ...entry }));
+    lines.push(JSON.stringify({ ...metadata, kind: 'summary', ...summarize(entries) }));
+
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,76 @@
+// lib/reporters/junit.js
+import { reportMetadata, serializeResults, summarize } from './common.js';
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+}
+
+function location(entry) {
+    if (!entry.line) {
+        return entry.file;
+    }
+    return entry.endLine ? `${entry.file}:${entry.line}-${entry.endLine}` : `${entry.file}:${entry.line}`;
+}
+
+/**
+ * JUnit XML so CI shows each finding as a failed test case. A clean scan is
+ * reported as a single passing test case.
+ */
+export function formatJunit(results) {
+    const metadata = reportMetadata();
+    const entries = serializeResults(results);
+    const summary = summarize(entries);
+
+    const testcases = entries.map(entry => {
+        const name = escapeXml(`${entry.description} in ${location(entry)}`);
+        const classname = escapeXml(`secure-commit.${entry.rule}`);
+
+        if (entry.suppressed) {
+            return `    <testcase name="${name}" classname="${classname}">\n` +
+                `      <skipped message="${escapeXml(`Suppressed: ${entry.suppressionReason}`)}"/>\n` +
+                '    </testcase>';
+        }
+
+        const details = [
+            `Rule: ${entry.rule}`,
+            `Severity: ${entry.severity}`,
+            `Location: ${location(entry)}`,
+            entry.key ? `Key: ${entry.key}` : null,
+            entry.confidence ? `Confidence: ${entry.confidence}` : null,
+            entry.encoding ? `Decoded from: ${entry.encoding.join(' > ')}` : null,
+            entry.submodule ? `Submodule: ${entry.submodule}` : null,
+            entry.match ? `Match: ${entry.match}` : null,
+            entry.commit ? `Commit: ${entry.commit}` : null,
+            `Suggestion: ${entry.suggestion}`
+        ].filter(Boolean).join('\n');
+
+        return `    <testcase name="${name}" classname="${classname}" file="${escapeXml(entry.file)}">\n` +
+            `      <failure message="${escapeXml(entry.description)}" type="${escapeXml(entry.severity)}">${escapeXml(details)}</failure>\n` +
+            '    </testcase>';
+    });
+
+    if (testcases.length === 0) {
+        testcases.push('    <testcase name="No secrets detected" classname="secure-commit.scan"/>');
+    }
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="secure-commit" tests="${testcases.length}" failures="${summary.total}">`,
+        `  <testsuite name="secure-commit" tests="${testcases.length}" failures="${summary.total}" skipped="${summary.suppressed}" timestamp="${metadata.generatedAt}">`,
+        '    <properties>',
+        `      <property name="schemaVersion" value="${metadata.schemaVersion}"/>`,
+        `      <property name="toolVersion" value="${escapeXml(metadata.tool.version)}"/>`,
+        '    </properties>',
+        ...testcases,
+        '  </testsuite>',
+        '</testsuites>',
+        ''
+    ].join('\n');
+}
@@ -0,0 +1,124 @@
+// lib/reporters/sarif.js
+import path from 'path';
+import { VERSION, HOMEPAGE } from '../version.js';
+import { trackedFileRule } from './common.js';
+
+const levels = {
+    high: 'error',
+    medium: 'warning',
+    low: 'note'
+};
+
+// GitHub code scanning reads this to bucket results as critical/high/medium/low
+const securitySeverities = {
+    high: '8.0',
+    medium: '5.0',
+    low: '2.0'
+};
+
+function toUri(file) {
+    return encodeURI(file.split(path.sep).join('/'));
+}
+
+function buildRule(id, rule) {
+    return {
+        id,
+        name: id.split(/[_.-]/).map(part => part.charAt(0).toUpperCase() + part.slice(1)).join(''),
+        shortDescription: { text: `${rule.description} detected` },
+        fullDescription: { text: `${rule.description}. ${rule.suggestion}` },
+        help: {
+            text: rule.suggestion,
+            markdown: `**${rule.description}**\n\n${rule.suggestion}\n\nIf the value is intentional, add \`secure-commit:ignore ${id} -- <reason>\` on the same line.`
+        },
+        defaultConfiguration: { level: levels[rule.severity] || 'warning' },
+        properties: {
+            tags: ['security', 'secrets'],
+            'security-severity': securitySeverities[rule.severity] || securitySeverities.medium
+        }
+    };
+}
+
+/**
+ * Build a SARIF 2.1.0 log. Every configured rule becomes a SARIF rule, and
+ * every finding and tracked sensitive file a result. Only the rule, location and fingerprint of a
+ * finding are written, never the matched value.
+ */
+export function formatSarif({ findings, trackedFiles = [], config }) {
+    const rules = Object.entries(config.rules).map(([id, rule]) => buildRule(id, rule));
+    const ruleIndex = new Map(rules.map((rule, index) => [rule.id, index]));
+
+    // Findings that don't come from a configured rule, e.g. suppressions without a reason
+    findings.forEach(finding => {
+        if (!ruleIndex.has(finding.type)) {
+            ruleIndex.set(finding.type, rules.length);
+            rules.push(buildRule(finding.type, finding));
+        }
+    });
+
+    if (trackedFiles.length > 0) {
+        ruleIndex.set(trackedFileRule.id, rules.length);
+        rules.push(buildRule(trackedFileRule.id, trackedFileRule));
+    }
+
+    const results = findings.map(finding => {
+        const result = {
+            ruleId: finding.type,
+            ruleIndex: ruleIndex.get(finding.type),
+            level: levels[finding.severity] || 'warning',
+            message: { text: `${finding.description} detected${finding.key ? ` in ${finding.key}` : ''}. ${finding.suggestion}` },
+            locations: [{
+                physicalLocation: {
+                    artifactLocation: { uri: toUri(finding.file), uriBaseId: '%SRCROOT%' },
+                    region: finding.endLine
+                        ? { startLine: finding.line, endLine: finding.endLine }
+                        : { startLine: finding.line }
+                }
+            }],
+            partialFingerprints: {
+                'secureCommit/v1': finding.fingerprint
+            }
+        };
+
+        if (finding.confidence || finding.encoding || finding.submodule) {
+            result.properties = { confidence: finding.confidence, encoding: finding.encoding, submodule: finding.submodule };
+        }
+
+        if (finding.suppressed) {
+            result.suppressions = [{ kind: 'inSource', justification: finding.suppressed.reason }];
+        }
+
+        return result;
+    });
+
+    trackedFiles.forEach(file => {
+        results.push({
+            ruleId: trackedFileRule.id,
+            ruleIndex: ruleIndex.get(trackedFileRule.id),
+            level: levels[trackedFileRule.severity],
+            message: { text: `${trackedFileRule.description}. ${trackedFileRule.suggestion}` },
+            locations: [{
+                physicalLocation: {
+                    artifactLocation: { uri: toUri(file), uriBaseId: '%SRCROOT%' }
+                }
+            }]
+        });
+    });
+
+    const log = {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'secure-commit',
+                    version: VERSION,
+                    informationUri: HOMEPAGE,
+                    rules
+                }
+            },
+            results
+        }]
+    };
+
+    return JSON.stringify(log, null, 2) + '\n';
+}
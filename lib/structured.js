@@ -0,0 +1,298 @@
+// lib/structured.js
+import path from 'path';
+
+// Key names that hold credentials, matched against the last key segment
+// after camelCase and dashes are turned into snake_case
+const secretKey = /(?:^|_)(?:password|passwd|pass|pwd|passphrase|secret|secret_?key|token|api_?key|private_?key|client_?secret|access_?key|auth_?key|credentials?|signing_?key|encryption_?key)$/;
+
+// Values that point somewhere else instead of holding the secret
+const reference = /^\$\w+$|\$\{[^}]*\}|\{\{[^}]*\}\}|%\([^)]*\)s|process\.env|os\.environ|os\.getenv|getenv\(|ENV\[|env\(/;
+
+const placeholder = /^(?:<[^>]*>|x+|\*+|\.+|changeme|change[_-]?me|change[_-]?this|replace[_-]?me|your[_-].*|example|placeholder|dummy|sample|test|todo|tbd|fixme|redacted|secret|password|none|null|nil|undefined|true|false|~)$/i;
+
+const MIN_VALUE_LENGTH = 6;
+
+function detectFormat(file) {
+    const base = path.basename(file).toLowerCase();
+    const ext = path.extname(base);
+
+    if (base === '.env' || base.startsWith('.env.') || ext === '.env') {
+        return 'dotenv';
+    }
+    if (ext === '.json') {
+        return 'json';
+    }
+    if (ext === '.yaml' || ext === '.yml') {
+        return 'yaml';
+    }
+    if (ext === '.ini' || ext === '.cfg') {
+        return 'ini';
+    }
+    if (ext === '.properties') {
+        return 'properties';
+    }
+    return null;
+}
+
+export function isSecretKey(key) {
+    const normalized = key
+        .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+        .replace(/[-\s]/g, '_')
+        .toLowerCase();
+    return secretKey.test(normalized);
+}
+
+/**
+ * Whether a value points elsewhere (`${VAR}`, `process.env.X`) or is a
+ * placeholder such as `changeme` or `<password>`
+ */
+export function isPlaceholderValue(value) {
+    const trimmed = value.trim();
+    return reference.test(trimmed) || placeholder.test(trimmed);
+}
+
+export function isLiteralValue(value) {
+    return value.trim().length >= MIN_VALUE_LENGTH && !isPlaceholderValue(value);
+}
+
+// Shown in place of a credential found by its key. Findings carry the key
+// itself, and a prefix of a short password would give most of it away.
+export const MASKED_VALUE = '****';
+
+function joinPath(segments) {
+    return segments
+        .filter(segment => segment !== null)
+        .reduce((joined, segment) => (segment.startsWith('[') || !joined ? joined + segment : `${joined}.${segment}`), '');
+}
+
+/**
+ * Read a value that may be quoted and may be followed by an inline comment.
+ * Returns the value and its offset from the start of `raw`.
+ */
+function readValue(raw, commentChars) {
+    const quote = raw[0];
+
+    if (quote === '"' || quote === "'") {
+        const end = raw.indexOf(quote, 1);
+        return { value: raw.slice(1, end === -1 ? undefined : end), offset: 1 };
+    }
+
+    const comment = raw.search(new RegExp(`\\s[${commentChars}]`));
+    return { value: (comment === -1 ? raw : raw.slice(0, comment)).trim(), offset: 0 };
+}
+
+/**
+ * `KEY=value` lines, with optional `export` and quotes
+ */
+function parseDotenv(lines) {
+    const entries = [];
+
+    lines.forEach(({ text }, lineIndex) => {
+        const match = text.match(/^(\s*(?:export\s+)?([A-Za-z_][\w.-]*)\s*=\s*)(.*)$/);
+        if (match) {
+            const { value, offset } = readValue(match[3], '#');
+            entries.push({ key: match[2], value, lineIndex, index: match[1].length + offset });
+        }
+    });
+
+    return entries;
+}
+
+/**
+ * Java `.properties`: `key=value`, `key: value` or `key value`
+ */
+function parseProperties(lines) {
+    const entries = [];
+
+    lines.forEach(({ text }, lineIndex) => {
+        const match = text.match(/^(\s*([^#!=:\s][^=:\s]*)\s*[=:\s]\s*)(.*)$/);
+        if (match) {
+            entries.push({ key: match[2], value: match[3].trim(), lineIndex, index: match[1].length });
+        }
+    });
+
+    return entries;
+}
+
+/**
+ * INI files, with keys prefixed by their `[section]`
+ */
+function parseIni(lines) {
+    const entries = [];
+    let section = null;
+
+    lines.forEach(({ text }, lineIndex) => {
+        const header = text.match(/^\s*\[([^\]]+)\]/);
+        if (header) {
+            section = header[1].trim();
+            return;
+        }
+
+        const match = text.match(/^(\s*([^;#=:\s][^=:]*?)\s*[=:]\s*)(.*)$/);
+        if (match) {
+            const { value, offset } = readValue(match[3], ';#');
+            entries.push({ key: joinPath([section, match[2]]), value, lineIndex, index: match[1].length + offset });
+        }
+    });
+
+    return entries;
+}
+
+/**
+ * Block-style YAML mappings and sequences, tracking the key path through
+ * indentation. Flow collections and block scalars are skipped.
+ */
+function parseYaml(lines) {
+    const entries = [];
+    const stack = [];
+    let blockIndent = null;
+
+    lines.forEach(({ text }, lineIndex) => {
+        const indent = text.search(/\S/);
+        if (indent === -1 || text[indent] === '#') {
+            return;
+        }
+
+        // Lines of a `|` or `>` block scalar belong to the key above
+        if (blockIndent !== null) {
+            if (indent > blockIndent) {
+                return;
+            }
+            blockIndent = null;
+        }
+
+        while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+            stack.pop();
+        }
+
+        let contentIndent = indent;
+        const item = text.slice(indent).match(/^-(\s+|$)/);
+        if (item) {
+            const parent = stack[stack.length - 1];
+            const position = parent ? (parent.items = (parent.items ?? -1) + 1) : 0;
+            stack.push({ indent, key: `[${position}]` });
+            contentIndent = indent + 1 + item[1].length;
+        }
+
+        const match = text.slice(contentIndent).match(/^(?:"([^"]*)"|'([^']*)'|([^\s#'"{[][^:#]*?))\s*:(?:\s+|$)(.*)$/);
+        if (!match) {
+            return;
+        }
+
+        const key = match[1] ?? match[2] ?? match[3];
+        const raw = match[4];
+
+        if (raw === '' || raw.startsWith('#')) {
+            stack.push({ indent: contentIndent, key });
+            return;
+        }
+
+        if (/^[|>]/.test(raw)) {
+            blockIndent = contentIndent;
+            return;
+        }
+
+        if (/^[{[&*!]/.test(raw)) {
+            return;
+        }
+
+        const { value, offset } = readValue(raw, '#');
+        entries.push({
+            key: joinPath([...stack.map(entry => entry.key), key]),
+            value,
+            lineIndex,
+            index: text.length - raw.length + offset
+        });
+    });
+
+    return entries;
+}
+
+function decodeJsonString(raw) {
+    try {
+        return JSON.parse(`"${raw}"`);
+    } catch (error) {
+        return raw;
+    }
+}
+
+/**
+ * String values of JSON objects, tracking the key path through nesting.
+ * Tolerates comments and fragments, such as the added lines of a diff.
+ */
+function parseJson(lines) {
+    const entries = [];
+    const stack = [];
+    let pendingKey = null;
+
+    const childKey = () => {
+        const top = stack[stack.length - 1];
+        if (top && top.type === 'array') {
+            return `[${top.index}]`;
+        }
+        return pendingKey;
+    };
+
+    lines.forEach(({ text }, lineIndex) => {
+        const tokens = /"((?:\\.|[^"\\])*)"|([{}[\],])/g;
+        let token;
+
+        while ((token = tokens.exec(text)) !== null) {
+            const [, string, punctuation] = token;
+            const top = stack[stack.length - 1];
+
+            if (punctuation === '{' || punctuation === '[') {
+                stack.push({ type: punctuation === '{' ? 'object' : 'array', key: childKey(), index: 0 });
+                pendingKey = null;
+            } else if (punctuation === '}' || punctuation === ']') {
+                stack.pop();
+                pendingKey = null;
+            } else if (punctuation === ',') {
+                if (top && top.type === 'array') {
+                    top.index++;
+                }
+                pendingKey = null;
+            } else if (/^\s*:/.test(text.slice(tokens.lastIndex)) && (!top || top.type === 'object')) {
+                pendingKey = decodeJsonString(string);
+            } else if (pendingKey !== null) {
+                entries.push({
+                    key: joinPath([...stack.map(entry => entry.key), pendingKey]),
+                    value: decodeJsonString(string),
+                    lineIndex,
+                    index: token.index + 1
+                });
+                pendingKey = null;
+            }
+        }
+    });
+
+    return entries;
+}
+
+const parsers = {
+    dotenv: parseDotenv,
+    properties: parseProperties,
+    ini: parseIni,
+    yaml: parseYaml,
+    json: parseJson
+};
+
+/**
+ * Parse JSON, YAML, .env, INI and properties files into key/value pairs and
+ * return the literal values of keys that look like credentials, as
+ * `[{ lineIndex, index, value, key, preview }]` where `key` is the full key
+ * path.
+ */
+export function findStructuredSecrets(lines, { file = '' } = {}) {
+    const format = detectFormat(file);
+    if (!format) {
+        return [];
+    }
+
+    return parsers[format](lines)
+        .filter(entry => {
+            const leaf = entry.key.split('.').pop();
+            return isSecretKey(leaf) && isLiteralValue(entry.value);
+        })
+        .map(({ key, value, lineIndex, index }) => ({ lineIndex, index, value, key, preview: MASKED_VALUE }));
+}
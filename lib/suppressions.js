@@ -0,0 +1,54 @@
+// lib/suppressions.js
+import path from 'path';
+import { commentSyntax } from './patterns.js';
+
+const suppressionPattern = /(\/\/|\/\*|#|;|!|<!--)\s*secure-commit:(ignore-next-line|ignore)(?![\w-])(.*)$/;
+const allMarkers = ['//', '/*', '#', ';', '!', '<!--'];
+
+/**
+ * Comment openers that are valid for a file. Unknown extensions (for example
+ * ones added through the project config) accept every marker.
+ */
+function commentMarkersFor(file) {
+    if (path.basename(file).startsWith('.env')) {
+        return commentSyntax['.env'];
+    }
+    return commentSyntax[path.extname(file)] || allMarkers;
+}
+
+/**
+ * Parse a `secure-commit:ignore` or `secure-commit:ignore-next-line` comment.
+ *
+ *     // secure-commit:ignore stripe_test -- Stripe's documented test key
+ *     # secure-commit:ignore-next-line -- fixture for the parser tests
+ *
+ * Rule ids are optional (none, or `*`, means every rule) and the reason
+ * follows ` -- `. Returns null when the line has no suppression comment.
+ */
+export function parseSuppression(text, file) {
+    const match = text.match(suppressionPattern);
+    if (!match || !commentMarkersFor(file).includes(match[1])) {
+        return null;
+    }
+
+    const body = match[3].replace(/\s*(\*\/|-->)\s*$/, '');
+    const separator = body.search(/(^|\s)--(\s|$)/);
+    const ruleText = separator === -1 ? body : body.slice(0, separator);
+    const reason = separator === -1 ? '' : body.slice(separator).replace(/^\s*--/, '').trim();
+
+    return {
+        nextLine: match[2] === 'ignore-next-line',
+        rules: ruleText.split(/[\s,]+/).filter(Boolean),
+        reason,
+        comment: text.slice(match.index).trim()
+    };
+}
+
+/**
+ * Check whether a suppression covers the given rule
+ */
+export function suppressionApplies(suppression, ruleId) {
+    return suppression.rules.length === 0 ||
+        suppression.rules.includes('*') ||
+        suppression.rules.includes(ruleId);
+}
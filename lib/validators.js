@@ -0,0 +1,85 @@
+// lib/validators.js
+
+/**
+ * Offline checks for token formats that carry structure. Each validator takes
+ * the matched value and returns true when it looks like a real token.
+ */
+
+const BASE62 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+export function crc32(text) {
+    let crc = 0xffffffff;
+    for (const byte of Buffer.from(text, 'utf8')) {
+        crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function toBase62(number, width) {
+    let encoded = '';
+    do {
+        encoded = BASE62[number % 62] + encoded;
+        number = Math.floor(number / 62);
+    } while (number > 0);
+    return encoded.padStart(width, '0');
+}
+
+/**
+ * The six-character checksum GitHub appends to the 30 random characters of
+ * a `ghp_`, `gho_`, `ghu_` or `ghs_` token
+ */
+export function githubChecksum(random) {
+    return toBase62(crc32(random), 6);
+}
+
+export function validateGithubToken(token) {
+    const body = token.slice(token.indexOf('_') + 1);
+    if (body.length !== 36) {
+        return false;
+    }
+    return githubChecksum(body.slice(0, 30)) === body.slice(30);
+}
+
+const awsPrefixes = ['AKIA', 'ASIA'];
+
+/**
+ * AWS access key IDs are a known prefix followed by 16 base32 characters.
+ * The placeholder from the AWS docs ends in EXAMPLE.
+ */
+export function validateAwsAccessKey(keyId) {
+    return awsPrefixes.includes(keyId.slice(0, 4)) &&
+        /^[A-Z2-7]{16}$/.test(keyId.slice(4)) &&
+        !keyId.endsWith('EXAMPLE');
+}
+
+function decodeBase64Url(segment) {
+    const base64 = segment.replace(/-/g, '+').replace(/_/g, '/');
+    return Buffer.from(base64, 'base64').toString('utf8');
+}
+
+/**
+ * A JWT's header and payload must decode to JSON objects, and the header
+ * must name a signing algorithm
+ */
+export function validateJwt(token) {
+    const [header, payload] = token.split('.');
+
+    try {
+        const decodedHeader = JSON.parse(decodeBase64Url(header));
+        const decodedPayload = JSON.parse(decodeBase64Url(payload));
+
+        return typeof decodedHeader === 'object' && decodedHeader !== null &&
+            typeof decodedHeader.alg === 'string' &&
+            typeof decodedPayload === 'object' && decodedPayload !== null;
+    } catch (error) {
+        return false;
+    }
+}
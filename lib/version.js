@@ -0,0 +1,7 @@
+// lib/version.js
+import fs from 'fs';
+
+const packageJson = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+export const VERSION = packageJson.version;
+export const HOMEPAGE = packageJson.homepage;
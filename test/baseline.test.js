@@ -0,0 +1,82 @@
+// test/baseline.test.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createBaseline, writeBaseline, loadBaseline, applyBaseline, fingerprintFinding, BASELINE_FILE } from '../lib/baseline.js';
+import { scanContent } from '../lib/detector.js';
+
+const key = 'AKIA' + 'Z3Q7Z3Q7Z3Q7Z3Q7';
+
+function scan(content, file = 'app.js') {
+    return scanContent(content, file);
+}
+
+describe('fingerprintFinding', () => {
+    test('survives the line moving within the file', () => {
+        const [before] = scan(`const key = "${key}";`);
+        const [after] = scan(`// header\n\nconst key = "${key}";`);
+
+        expect(after.line).not.toBe(before.line);
+        expect(after.fingerprint).toBe(before.fingerprint);
+    });
+
+    test('changes with the file, the secret or the surrounding line', () => {
+        const base = fingerprintFinding('aws_access', 'app.js', key, 'const key = "x";');
+
+        expect(fingerprintFinding('aws_access', 'other.js', key, 'const key = "x";')).not.toBe(base);
+        expect(fingerprintFinding('aws_access', 'app.js', key.replace(/7$/, '8'), 'const key = "x";')).not.toBe(base);
+        expect(fingerprintFinding('aws_access', 'app.js', key, 'const apiKey = "x";')).not.toBe(base);
+        expect(fingerprintFinding('aws_access', 'app.js', key, '   const key = "x";   ')).toBe(base);
+    });
+});
+
+describe('applyBaseline', () => {
+    test('splits findings into new and baselined ones and reports stale entries', () => {
+        const old = scan(`const key = "${key}";`);
+        const baseline = createBaseline([...old, ...scan(`const gone = "${key}";`, 'removed.js')]);
+        const current = [...old, ...scan(`const added = "${key}";`, 'new.js')];
+
+        const result = applyBaseline(current, baseline);
+
+        expect(result.baselined.map(finding => finding.file)).toEqual(['app.js']);
+        expect(result.newFindings.map(finding => finding.file)).toEqual(['new.js']);
+        expect(result.stale.map(entry => entry.file)).toEqual(['removed.js']);
+    });
+
+    test('records each fingerprint once and never the secret itself', () => {
+        const findings = scan(`const key = "${key}";`);
+        const baseline = createBaseline([...findings, ...findings]);
+
+        expect(baseline.findings).toHaveLength(1);
+        expect(JSON.stringify(baseline)).not.toContain(key);
+    });
+});
+
+describe('writeBaseline and loadBaseline', () => {
+    let root;
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'secure-commit-baseline-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('round-trips a baseline through the default file', () => {
+        const baseline = createBaseline(scan(`const key = "${key}";`));
+
+        expect(writeBaseline(baseline, root)).toBe(path.join(root, BASELINE_FILE));
+        expect(loadBaseline(root)).toEqual(baseline);
+    });
+
+    test('returns null without a baseline file', () => {
+        expect(loadBaseline(root)).toBeNull();
+    });
+
+    test('rejects a baseline in another format', () => {
+        fs.writeFileSync(path.join(root, BASELINE_FILE), JSON.stringify({ version: 99, findings: [] }));
+
+        expect(() => loadBaseline(root)).toThrow('Unsupported baseline format');
+    });
+});
@@ -0,0 +1,112 @@
+// test/config.test.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { validateConfig, resolveConfig, loadConfig, globToRegExp, isExcluded, isSensitiveFile, defaultConfig } from '../lib/config.js';
+import { scanContent } from '../lib/detector.js';
+
+describe('validateConfig', () => {
+    test('accepts an empty config', () => {
+        expect(validateConfig({})).toEqual({});
+    });
+
+    test.each([
+        [[], 'config must be a JSON object'],
+        [{ rulez: {} }, 'unknown key "rulez"'],
+        [{ rules: { aws_access: { pattern: 'x', description: 'x' } } }, 'clashes with a built-in rule'],
+        [{ rules: { custom: { pattern: '(', description: 'x' } } }, '"rules.custom.pattern" is not a valid regular expression'],
+        [{ rules: { custom: { pattern: 'x' } } }, '"rules.custom.description" must be a non-empty string'],
+        [{ rules: { custom: { pattern: 'x', description: 'x', flags: 'g' } } }, '"rules.custom.flags" may only contain'],
+        [{ rules: { custom: { pattern: 'x', description: 'x', severity: 'critical' } } }, '"rules.custom.severity" must be one of high, medium, low'],
+        [{ disableRules: ['no_such_rule'] }, 'unknown built-in rule "no_such_rule"'],
+        [{ overrides: { aws_access: { pattern: 'x' } } }, '"overrides.aws_access.pattern" cannot be overridden'],
+        [{ overrides: { private_key: { onInvalid: 'drop' } } }, 'only applies to rules with a validator'],
+        [{ fileExtensions: ['tf'] }, '"fileExtensions" entry "tf" must look like ".tf"'],
+        [{ exclude: [''] }, '"exclude" must be an array of non-empty strings'],
+        [{ entropy: { minLength: 4 } }, '"entropy.minLength" must be an integer of at least 8'],
+        [{ entropy: { hexThreshold: 5 } }, '"entropy.hexThreshold" must be a number above 0 and at most 4'],
+        [{ decodeDepth: 6 }, '"decodeDepth" must be an integer from 0 to 5'],
+        [{ localHosts: 'db' }, '"localHosts" must be an array of non-empty strings']
+    ])('rejects %j', (raw, message) => {
+        expect(() => validateConfig(raw, 'test.json')).toThrow('Invalid secure-commit config in test.json: ');
+        expect(() => validateConfig(raw, 'test.json')).toThrow(message);
+    });
+});
+
+describe('resolveConfig', () => {
+    test('adds custom rules, disables and overrides built-in ones', () => {
+        const config = resolveConfig(validateConfig({
+            rules: { internal_token: { pattern: 'itk_[a-z0-9]{12}', description: 'Internal token', severity: 'high' } },
+            disableRules: ['slack_webhook'],
+            overrides: { aws_access: { severity: 'low' } }
+        }));
+
+        expect(config.rules.slack_webhook).toBeUndefined();
+        expect(config.rules.aws_access.severity).toBe('low');
+
+        const [finding] = scanContent('internal("itk_abcdef123456");', 'app.js', config);
+        expect(finding).toMatchObject({ type: 'internal_token', severity: 'high', description: 'Internal token' });
+    });
+
+    test('appends extensions, ignored directories and sensitive files to the defaults', () => {
+        const config = resolveConfig({ fileExtensions: ['.tf'], ignoreDirs: ['vendor'], sensitiveFiles: ['*.tfstate'] });
+
+        expect(config.fileExtensions).toEqual([...defaultConfig.fileExtensions, '.tf']);
+        expect(config.ignoreDirs).toContain('vendor');
+        expect(isSensitiveFile('infra/prod.tfstate', config)).toBe(true);
+    });
+});
+
+describe('globToRegExp and isExcluded', () => {
+    test('matches unanchored patterns at any depth and anchored ones from the root', () => {
+        expect(globToRegExp('*.min.js').test('dist/app.min.js')).toBe(true);
+        expect(globToRegExp('fixtures/*.json').test('test/fixtures/a.json')).toBe(false);
+        expect(globToRegExp('test/**/fixtures').test('test/a/b/fixtures')).toBe(true);
+        expect(globToRegExp('test/**/fixtures').test('test/fixtures')).toBe(true);
+    });
+
+    test('excludes everything below an excluded directory', () => {
+        const config = resolveConfig({ exclude: ['test/fixtures'] });
+
+        expect(isExcluded('test/fixtures/keys/id_rsa', config)).toBe(true);
+        expect(isExcluded('test/unit.js', config)).toBe(false);
+    });
+});
+
+describe('loadConfig', () => {
+    let root;
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'secure-commit-config-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('falls back to the defaults without a config', () => {
+        expect(loadConfig(root)).toBe(defaultConfig);
+    });
+
+    test('prefers .securecommitrc.json over package.json', () => {
+        fs.writeFileSync(path.join(root, '.securecommitrc.json'), JSON.stringify({ ignoreDirs: ['from-rc'] }));
+        fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify({ 'secure-commit': { ignoreDirs: ['from-package'] } }));
+
+        const config = loadConfig(root);
+        expect(config.ignoreDirs).toContain('from-rc');
+        expect(config.ignoreDirs).not.toContain('from-package');
+        expect(config.source).toBe(path.join(root, '.securecommitrc.json'));
+    });
+
+    test('reads the "secure-commit" key of package.json', () => {
+        fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify({ 'secure-commit': { disableRules: ['jwt'] } }));
+
+        expect(loadConfig(root).rules.jwt).toBeUndefined();
+    });
+
+    test('names the file when the JSON is broken', () => {
+        fs.writeFileSync(path.join(root, '.securecommitrc.json'), '{ "rules": ');
+
+        expect(() => loadConfig(root)).toThrow('Invalid secure-commit config in .securecommitrc.json');
+    });
+});
@@ -0,0 +1,122 @@
+// test/diff.test.js
+import { parseDiff } from '../lib/diff.js';
+
+function diff(...lines) {
+    return lines.join('\n') + '\n';
+}
+
+describe('parseDiff', () => {
+    test('numbers added lines by their position in the new file', () => {
+        const files = parseDiff(diff(
+            'diff --git a/app.js b/app.js',
+            'index 1111111..2222222 100644',
+            '--- a/app.js',
+            '+++ b/app.js',
+            '@@ -10,3 +10,4 @@ function main() {',
+            ' const a = 1;',
+            '-const b = 2;',
+            '+const b = 3;',
+            '+const c = 4;',
+            ' const d = 5;'
+        ));
+
+        expect(files).toEqual([{
+            file: 'app.js',
+            addedLines: [
+                { line: 11, text: 'const b = 3;', previousText: 'const a = 1;' },
+                { line: 12, text: 'const c = 4;', previousText: 'const b = 3;' }
+            ]
+        }]);
+    });
+
+    test('tracks line numbers across several hunks', () => {
+        const [file] = parseDiff(diff(
+            '--- a/config.yml',
+            '+++ b/config.yml',
+            '@@ -1 +1 @@',
+            '-old: 1',
+            '+new: 1',
+            '@@ -20,2 +20,3 @@',
+            ' a: 1',
+            '+b: 2',
+            ' c: 3'
+        ));
+
+        expect(file.addedLines.map(({ line, text }) => [line, text])).toEqual([[1, 'new: 1'], [21, 'b: 2']]);
+    });
+
+    test('does not mistake an added line starting with "++ " for a file header', () => {
+        const [file] = parseDiff(diff(
+            '--- a/notes.md',
+            '+++ b/notes.md',
+            '@@ -0,0 +1,2 @@',
+            '+++ b/secret.txt',
+            '+token'
+        ));
+
+        expect(file.file).toBe('notes.md');
+        expect(file.addedLines.map(added => added.text)).toEqual(['++ b/secret.txt', 'token']);
+    });
+
+    test('ignores the "No newline at end of file" marker', () => {
+        const [file] = parseDiff(diff(
+            '--- a/.env',
+            '+++ b/.env',
+            '@@ -1 +1,2 @@',
+            ' A=1',
+            '\\ No newline at end of file',
+            '+B=2'
+        ));
+
+        expect(file.addedLines).toEqual([{ line: 2, text: 'B=2', previousText: 'A=1' }]);
+    });
+
+    test('unquotes C-style paths with octal-escaped UTF-8', () => {
+        const [file] = parseDiff(diff(
+            '--- /dev/null',
+            '+++ "b/caf\\303\\251 \\"menu\\".txt"',
+            '@@ -0,0 +1 @@',
+            '+price=3'
+        ));
+
+        expect(file.file).toBe('café "menu".txt');
+    });
+
+    test('reports only the lines a merge commit adds beyond its parents', () => {
+        const [file] = parseDiff(diff(
+            'diff --cc config.js',
+            'index 0d18e94,6dbe616..58cf297',
+            '--- a/config.js',
+            '+++ b/config.js',
+            '@@@ -1,4 -1,3 +1,4 @@@',
+            '  a',
+            '- x = 3',
+            ' -x = 2',
+            '++resolved = true',
+            ' +from = "feature"',
+            '  b',
+            '++after = true'
+        ));
+
+        // The last line is past the hunk, so it is not part of the diff
+        expect(file.addedLines).toEqual([{ line: 2, text: 'resolved = true', previousText: 'a' }]);
+    });
+
+    test('skips deleted files and files without added lines', () => {
+        const files = parseDiff(diff(
+            'diff --git a/gone.js b/gone.js',
+            '--- a/gone.js',
+            '+++ /dev/null',
+            '@@ -1 +0,0 @@',
+            '-const key = 1;',
+            'diff --git a/trimmed.js b/trimmed.js',
+            '--- a/trimmed.js',
+            '+++ b/trimmed.js',
+            '@@ -1,2 +1 @@',
+            ' keep();',
+            '-drop();'
+        ));
+
+        expect(files).toEqual([]);
+    });
+});
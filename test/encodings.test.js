@@ -0,0 +1,57 @@
+// test/encodings.test.js
+import { findEncodedSegments, DEFAULT_DECODE_DEPTH } from '../lib/encodings.js';
+import { scanContent } from '../lib/detector.js';
+import { resolveConfig } from '../lib/config.js';
+
+const key = 'AKIA' + 'Z3Q7Z3Q7Z3Q7Z3Q7';
+
+function base64(text) {
+    return Buffer.from(text).toString('base64');
+}
+
+describe('findEncodedSegments', () => {
+    test('decodes base64, hex and percent-encoded segments with their offsets', () => {
+        const encoded = base64('user=admin password=hunter2');
+        const hex = Buffer.from('readable text here').toString('hex');
+        const percent = 'p%40ss%3Dword%21value';
+
+        expect(findEncodedSegments(`a: ${encoded}`)).toEqual([
+            { index: 3, value: encoded, decoded: 'user=admin password=hunter2', encoding: 'base64' }
+        ]);
+        expect(findEncodedSegments(`b: ${hex}`)).toEqual([
+            expect.objectContaining({ encoding: 'hex', decoded: 'readable text here' })
+        ]);
+        expect(findEncodedSegments(`c: ${percent}`)).toEqual([
+            expect.objectContaining({ encoding: 'percent', decoded: 'p@ss=word!value' })
+        ]);
+    });
+
+    test('skips segments that decode to binary or are too short', () => {
+        expect(findEncodedSegments('hash: 3q2+7wAAAAD/////AQIDBA==')).toEqual([]);
+        expect(findEncodedSegments('a%20b')).toEqual([]);
+    });
+});
+
+describe('decoded secrets in the detector', () => {
+    test('are reported at the encoded segment with the encoding chain', () => {
+        const encoded = base64(`aws_key: ${key}`);
+        const findings = scanContent(`  token: ${encoded}`, 'secret.yaml');
+
+        expect(findings).toEqual([
+            expect.objectContaining({ type: 'aws_access', line: 1, column: 10, length: encoded.length, encoding: ['base64'] })
+        ]);
+        expect(JSON.stringify(findings)).not.toContain(key);
+    });
+
+    test(`peel off ${DEFAULT_DECODE_DEPTH} layers by default, and as many as decodeDepth allows`, () => {
+        // The key itself is percent-encoded, so only the second layer reveals it
+        const nested = base64(`key=%41${key.slice(1)}&region=us-east-1`);
+        const types = config => scanContent(`data: ${nested}`, 'app.yaml', config).map(finding => finding.type);
+
+        expect(scanContent(`data: ${nested}`, 'app.yaml')).toEqual([
+            expect.objectContaining({ type: 'aws_access', encoding: ['base64', 'percent'] })
+        ]);
+        expect(types(resolveConfig({ decodeDepth: 1 }))).not.toContain('aws_access');
+        expect(types(resolveConfig({ decodeDepth: 0 }))).not.toContain('aws_access');
+    });
+});
@@ -0,0 +1,30 @@
+// test/entropy.test.js
+import { findHighEntropyStrings, shannonEntropy } from '../lib/entropy.js';
+
+describe('findHighEntropyStrings', () => {
+    test('reports random tokens at the minimum length, below the full base64 threshold', () => {
+        const value = 'q8Zr4Lw2Xb' + 'N9vT1kPy7s';
+        const [result] = findHighEntropyStrings(`const id = "${value}";`);
+
+        expect(shannonEntropy(value)).toBeLessThan(4.5);
+        expect(result).toMatchObject({ value, charset: 'base64' });
+    });
+
+    test('holds long tokens to the configured threshold', () => {
+        const value = 'q8Zr4Lw2XbN9vT1k' + 'Py7sHd3FjM6cGe0a' + 'Q5Rt8Yu2Io4Pa6Sd' + '9Fg1Hj3Kl5Zx7Cv0B';
+
+        expect(findHighEntropyStrings(`const id = "${value}";`)).toHaveLength(1);
+        expect(findHighEntropyStrings(`const id = "${value}";`, { config: { entropy: { base64Threshold: 5.5 } } })).toEqual([]);
+    });
+
+    test('skips identifiers, UUIDs, commit SHAs and regular expressions', () => {
+        expect(findHighEntropyStrings('const name = "getElementById2Options";')).toEqual([]);
+        expect(findHighEntropyStrings('const id = "123e4567-e89b-12d3-a456-426614174000";')).toEqual([]);
+        expect(findHighEntropyStrings('gitHead: "' + 'a94a8fe5ccb19ba61c4c0873d391e987982fbbd3' + '"')).toEqual([]);
+        expect(findHighEntropyStrings('pattern: /pypi-AgEIc' + 'HlwaS5vcmc[A-Za-z0-9_-]{50,}/g,')).toEqual([]);
+    });
+
+    test('skips lockfiles', () => {
+        expect(findHighEntropyStrings('"q8Zr4Lw2XbN9vT1k' + 'Py7sHd3FjM6cGe0a"', { file: 'package-lock.json' })).toEqual([]);
+    });
+});
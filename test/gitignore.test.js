@@ -0,0 +1,120 @@
+// test/gitignore.test.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { IgnoreMatcher, compileGitignorePattern } from '../lib/gitignore.js';
+
+// Ignore files and the paths checked against them, as git would see them
+const ignoreFiles = {
+    '.gitignore': [
+        '# comment',
+        '*.log',
+        '!important.log',
+        '/root-only.txt',
+        'build/',
+        '!build/keep.js',
+        'docs/**/*.pdf',
+        '**/cache',
+        'secrets/**',
+        '!secrets/README.md',
+        'file[0-9].txt',
+        'note[!a].md',
+        'space\\ ',
+        '\\#hash',
+        '\\!bang',
+        'nested/deep/*.tmp',
+        '.env*',
+        '!.env.example'
+    ],
+    'config/.gitignore': [
+        '*.json',
+        '!public.json',
+        '/local.yml'
+    ]
+};
+
+const files = [
+    'debug.log', 'logs/server.log', 'important.log', 'logs/important.log',
+    'root-only.txt', 'sub/root-only.txt',
+    'build/out.js', 'build/keep.js', 'src/build/x.js',
+    'docs/guide.pdf', 'docs/a/b/guide.pdf', 'docs/guide.md',
+    'cache/data', 'src/cache/data', 'src/cachefile',
+    'secrets/key.pem', 'secrets/README.md', 'secrets/sub/README.md',
+    'file1.txt', 'fileA.txt', 'notea.md', 'noteb.md',
+    'space ', '#hash', '!bang',
+    'nested/deep/x.tmp', 'nested/deep/more/x.tmp',
+    '.env', '.env.local', '.env.example', 'app/.env.production',
+    'config/settings.json', 'config/public.json', 'config/local.yml', 'config/sub/local.yml', 'settings.json'
+];
+
+function gitCheckIgnore(root, paths) {
+    try {
+        return execFileSync('git', ['-c', `core.excludesFile=${path.join(root, 'none')}`, 'check-ignore', '--no-index', '--stdin'], {
+            cwd: root,
+            input: paths.join('\n') + '\n',
+            encoding: 'utf8'
+        }).split('\n').filter(Boolean);
+    } catch (error) {
+        // Exit code 1: nothing is ignored
+        if (error.status === 1) {
+            return [];
+        }
+        throw error;
+    }
+}
+
+describe('IgnoreMatcher', () => {
+    let root;
+
+    beforeAll(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'secure-commit-gitignore-'));
+        execFileSync('git', ['init', '-q'], { cwd: root });
+
+        Object.entries(ignoreFiles).forEach(([file, lines]) => {
+            fs.mkdirSync(path.join(root, path.dirname(file)), { recursive: true });
+            fs.writeFileSync(path.join(root, file), lines.join('\n') + '\n');
+        });
+        files.forEach(file => {
+            fs.mkdirSync(path.join(root, path.dirname(file)), { recursive: true });
+            fs.writeFileSync(path.join(root, file), '');
+        });
+    });
+
+    afterAll(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('agrees with git check-ignore on files', () => {
+        const matcher = new IgnoreMatcher(root);
+        const ignoredByGit = gitCheckIgnore(root, files);
+
+        expect(files.filter(file => matcher.isIgnored(file))).toEqual(ignoredByGit);
+    });
+
+    test('agrees with git check-ignore on directories', () => {
+        const matcher = new IgnoreMatcher(root);
+        const dirs = ['build', 'src/build', 'cache', 'src/cache', 'secrets', 'docs', 'nested/deep'];
+
+        expect(dirs.filter(dir => matcher.isIgnored(dir, true))).toEqual(gitCheckIgnore(root, dirs));
+    });
+
+    test('explains which pattern decided, like check-ignore -v', () => {
+        const matcher = new IgnoreMatcher(root);
+
+        expect(matcher.explain('config/settings.json').rule).toMatchObject({ file: 'config/.gitignore', lineNumber: 1 });
+        expect(matcher.explain('build/keep.js').rule).toMatchObject({ file: '.gitignore', source: 'build/' });
+    });
+});
+
+describe('compileGitignorePattern', () => {
+    test('skips blank lines and comments', () => {
+        expect(compileGitignorePattern('')).toBeNull();
+        expect(compileGitignorePattern('   ')).toBeNull();
+        expect(compileGitignorePattern('# comment')).toBeNull();
+    });
+
+    test('reads negation and directory-only markers', () => {
+        expect(compileGitignorePattern('!keep/')).toMatchObject({ negate: true, dirOnly: true });
+    });
+});
@@ -0,0 +1,142 @@
+// test/hooks.test.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { execSync } from 'child_process';
+import { installHooks, uninstallHooks, checkHookInstallation } from '../lib/hooks.js';
+import { VERSION } from '../lib/version.js';
+
+// A core.hooksPath from the user's git config or the environment would send
+// the hooks outside the test repository, so the tests only run without one
+function configuredHooksPath() {
+    try {
+        return execSync('git config core.hooksPath', { cwd: os.tmpdir(), stdio: 'pipe' }).toString().trim();
+    } catch (error) {
+        return '';
+    }
+}
+
+const describeHooks = configuredHooksPath() ? describe.skip : describe;
+
+let root;
+let hooksDir;
+
+function writeHook(name, content) {
+    fs.writeFileSync(path.join(hooksDir, name), content, { mode: 0o755 });
+}
+
+function readHook(name) {
+    return fs.readFileSync(path.join(hooksDir, name), 'utf8');
+}
+
+// Re-stamp an installed hook as if another version had written it
+function stampAs(content, version) {
+    const versioned = content.replace(/^# secure-commit-version: .*$/m, `# secure-commit-version: ${version}`);
+    const hashed = versioned.replace(/^# secure-commit-hash: .*\n/m, '').replace(/^SECURE_COMMIT_CLI=.*\n/m, '');
+    const hash = crypto.createHash('sha256').update(hashed).digest('hex');
+    return versioned.replace(/^# secure-commit-hash: .*$/m, `# secure-commit-hash: ${hash}`);
+}
+
+beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'secure-commit-hooks-'));
+    execSync('git init -q', { cwd: root });
+    hooksDir = path.join(root, '.git', 'hooks');
+    fs.mkdirSync(hooksDir, { recursive: true });
+});
+
+afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+describeHooks('installHooks', () => {
+    test('writes stamped hooks that check as current', () => {
+        installHooks(root, { hooks: ['pre-commit', 'pre-push'] });
+
+        expect(readHook('pre-commit')).toMatch(/^# secure-commit-version: .+$/m);
+        expect(checkHookInstallation(root).hooks['pre-commit']).toMatchObject({ installed: true, state: 'current' });
+        expect(checkHookInstallation(root).hooks['pre-push']).toMatchObject({ installed: true, state: 'current' });
+        expect(installHooks(root).message).toBe('Hook already installed');
+    });
+
+    test('chains a hook that only calls secure-commit instead of taking it over', () => {
+        writeHook('pre-commit', '#!/bin/sh\nnpx secure-commit hook pre-commit\n');
+
+        expect(checkHookInstallation(root).hooks['pre-commit']).toMatchObject({ installed: false, reason: 'Different hook exists' });
+        expect(installHooks(root).hooks[0].message).toBe('Hook installed; the existing hook now runs from pre-commit.local');
+        expect(readHook('pre-commit.local')).toBe('#!/bin/sh\nnpx secure-commit hook pre-commit\n');
+    });
+});
+
+describeHooks('upgrades', () => {
+    test('a hook written by the same version installed elsewhere is current', () => {
+        installHooks(root);
+        writeHook('pre-commit', readHook('pre-commit').replace(/^SECURE_COMMIT_CLI=.*$/m, 'SECURE_COMMIT_CLI="/elsewhere/bin/cli.js"'));
+
+        expect(checkHookInstallation(root).hooks['pre-commit']).toMatchObject({ state: 'current', version: VERSION });
+    });
+
+    test('a hook from another version is upgraded in place', () => {
+        installHooks(root);
+        writeHook('pre-commit', stampAs(readHook('pre-commit'), '0.0.1'));
+
+        expect(checkHookInstallation(root).hooks['pre-commit']).toMatchObject({ state: 'outdated', version: '0.0.1' });
+        expect(installHooks(root).hooks[0].message).toBe(`Hook upgraded from v0.0.1 to v${VERSION}`);
+        expect(checkHookInstallation(root).hooks['pre-commit'].state).toBe('current');
+        expect(fs.existsSync(path.join(hooksDir, 'pre-commit.bak'))).toBe(false);
+    });
+
+    test('an unversioned hook is upgraded with a backup', () => {
+        const legacy = '#!/bin/sh\n# Secure Project - Pre-commit hook to prevent secrets\necho old\n';
+        writeHook('pre-commit', legacy);
+
+        expect(checkHookInstallation(root).hooks['pre-commit']).toMatchObject({ installed: true, state: 'outdated', version: null });
+        expect(installHooks(root).hooks[0].message).toBe(`Hook upgraded from an unversioned hook to v${VERSION}; the old hook is saved as pre-commit.bak`);
+        expect(readHook('pre-commit.bak')).toBe(legacy);
+    });
+});
+
+describeHooks('chaining', () => {
+    test('runs the previous hook first and stops when it fails', () => {
+        writeHook('pre-commit', '#!/bin/sh\ntouch "$(dirname "$0")/ran"\nexit 3\n');
+        installHooks(root);
+
+        expect(() => execSync(path.join(hooksDir, 'pre-commit'), { cwd: root, stdio: 'pipe' })).toThrow();
+        expect(fs.existsSync(path.join(hooksDir, 'ran'))).toBe(true);
+    });
+
+    test('refuses to install when both a hook and a chained hook exist', () => {
+        writeHook('pre-commit', '#!/bin/sh\necho mine\n');
+        writeHook('pre-commit.local', '#!/bin/sh\necho older\n');
+
+        expect(() => installHooks(root)).toThrow('Both pre-commit and pre-commit.local exist');
+    });
+});
+
+describeHooks('uninstallHooks', () => {
+    test('removes our hooks and moves a chained hook back', () => {
+        writeHook('pre-commit', '#!/bin/sh\necho mine\n');
+        installHooks(root);
+
+        expect(uninstallHooks(root).removed).toEqual(['pre-commit']);
+        expect(readHook('pre-commit')).toBe('#!/bin/sh\necho mine\n');
+    });
+
+    test('leaves hooks that mention secure-commit but were not written by it', () => {
+        writeHook('pre-commit', '#!/bin/sh\n# Secure Project checks, see secure-commit\nnpx secure-commit hook pre-commit\n');
+
+        expect(() => uninstallHooks(root)).toThrow('pre-commit hook exists but was not installed by secure-commit');
+        expect(fs.existsSync(path.join(hooksDir, 'pre-commit'))).toBe(true);
+    });
+
+    test('only removes an edited hook with force', () => {
+        installHooks(root);
+        writeHook('pre-commit', readHook('pre-commit') + 'echo extra check\n');
+
+        expect(() => uninstallHooks(root)).toThrow('pre-commit hook was edited');
+        expect(fs.existsSync(path.join(hooksDir, 'pre-commit'))).toBe(true);
+
+        expect(uninstallHooks(root, { force: true }).removed).toEqual(['pre-commit']);
+        expect(fs.existsSync(path.join(hooksDir, 'pre-commit'))).toBe(false);
+    });
+});
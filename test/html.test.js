@@ -0,0 +1,49 @@
+// test/html.test.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { formatHtml } from '../lib/reporters/html.js';
+import { scanContent } from '../lib/detector.js';
+import { defaultConfig } from '../lib/config.js';
+
+const key = 'AKIA' + 'Z3Q7Z3Q7Z3Q7Z3Q7';
+const word = 'Tr0ub4dor' + '-3xyzzy';
+const marker = 'secure-commit:' + 'ignore';
+
+describe('formatHtml', () => {
+    let root;
+    let all;
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'secure-commit-html-'));
+        const content = [
+            `const legacy = "${key}";`,
+            `const password = "${word}";`,
+            `const old = "${key}"; // ${marker} aws_access -- rotated`
+        ].join('\n');
+        fs.writeFileSync(path.join(root, 'app.js'), content);
+        all = scanContent(content, 'app.js', defaultConfig, { includeSuppressed: true });
+    });
+
+    afterEach(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('masks baselined and suppressed secrets on context lines', () => {
+        // The finding on line 1 was filtered out by a baseline
+        const findings = all.filter(finding => finding.line !== 1);
+        const html = formatHtml({ findings, maskFindings: all, trackedFiles: [], projectPath: root });
+
+        expect(html).toContain('const legacy = &quot;<mark>AKIA••••••</mark>');
+        expect(html).toContain('Suppressed findings (1)');
+        expect(html).not.toContain(key);
+        expect(html).not.toContain(word);
+    });
+
+    test('shows the prefix only for rules with a public prefix', () => {
+        const html = formatHtml({ findings: all, trackedFiles: [], projectPath: root });
+
+        expect(html).toContain('const password = &quot;<mark>••••••</mark>');
+        expect(html).not.toContain(word.slice(0, 4) + '••••••');
+    });
+});
@@ -0,0 +1,196 @@
+// test/managers.test.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execSync } from 'child_process';
+import { hookManagers, detectHookManager, registeredHookState, upgradeRegisteredHook } from '../lib/managers.js';
+import { installHooks, checkHookInstallation } from '../lib/hooks.js';
+import { VERSION } from '../lib/version.js';
+
+const [husky, lefthook, simpleGitHooks, preCommitFramework] = hookManagers;
+
+let root;
+
+function write(file, content) {
+    fs.writeFileSync(path.join(root, file), content);
+}
+
+function read(file) {
+    return fs.readFileSync(path.join(root, file), 'utf8');
+}
+
+beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'secure-commit-managers-'));
+});
+
+afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+describe('husky', () => {
+    test('appends the command to an existing hook and removes only that line', () => {
+        fs.mkdirSync(path.join(root, '.husky'));
+        write('.husky/pre-commit', 'npx lint-staged\n');
+        const configFile = husky.detect(root);
+
+        husky.register(configFile, 'pre-commit');
+        expect(read('.husky/pre-commit')).toBe(`npx lint-staged\n${husky.command('pre-commit')}\n`);
+        expect(husky.registeredCommand(configFile, 'pre-commit')).toBe(husky.command('pre-commit'));
+
+        husky.unregister(configFile, 'pre-commit');
+        expect(read('.husky/pre-commit')).toBe('npx lint-staged\n');
+    });
+
+    test('writes a new hook file, and deletes it again when nothing else is left', () => {
+        fs.mkdirSync(path.join(root, '.husky'));
+        const configFile = husky.detect(root);
+
+        husky.register(configFile, 'pre-push');
+        expect(read('.husky/pre-push')).toBe(`#!/usr/bin/env sh\nnpx --no-install secure-commit hook pre-push --hook-version ${VERSION} "$@"\n`);
+
+        husky.unregister(configFile, 'pre-push');
+        expect(fs.existsSync(path.join(root, '.husky/pre-push'))).toBe(false);
+    });
+});
+
+describe('lefthook', () => {
+    const config = ['pre-commit:', '  commands:', '    lint:', '      run: npm run lint', ''].join('\n');
+
+    test('adds an entry next to existing commands and removes it again', () => {
+        write('lefthook.yml', config);
+        const configFile = lefthook.detect(root);
+
+        lefthook.register(configFile, 'pre-commit');
+        expect(read('lefthook.yml')).toBe([
+            'pre-commit:',
+            '  commands:',
+            '    secure-commit:',
+            `      run: ${lefthook.command('pre-commit')}`,
+            '    lint:',
+            '      run: npm run lint',
+            ''
+        ].join('\n'));
+
+        lefthook.unregister(configFile, 'pre-commit');
+        expect(read('lefthook.yml')).toBe(config);
+    });
+
+    test('reads stdin for pre-push and drops hooks it leaves empty', () => {
+        write('lefthook.yml', config);
+        const configFile = lefthook.detect(root);
+
+        lefthook.register(configFile, 'pre-push');
+        expect(read('lefthook.yml')).toContain('    secure-commit:\n      run: npx --no-install secure-commit hook pre-push --hook-version');
+        expect(read('lefthook.yml')).toContain('{1}\n      use_stdin: true');
+
+        lefthook.unregister(configFile, 'pre-push');
+        expect(read('lefthook.yml')).toBe(config);
+    });
+
+    test('leaves the config alone when secure-commit is not registered', () => {
+        write('lefthook.yml', config);
+        const configFile = lefthook.detect(root);
+
+        lefthook.unregister(configFile, 'pre-commit');
+        lefthook.unregister(configFile, 'pre-push');
+        expect(read('lefthook.yml')).toBe(config);
+    });
+});
+
+describe('simple-git-hooks', () => {
+    test('chains the command in package.json and keeps its indentation', () => {
+        write('package.json', JSON.stringify({ name: 'app', 'simple-git-hooks': { 'pre-commit': 'npx lint-staged' } }, null, 4));
+        const configFile = simpleGitHooks.detect(root);
+
+        simpleGitHooks.register(configFile, 'pre-commit');
+        expect(JSON.parse(read('package.json'))['simple-git-hooks']['pre-commit']).toBe(`npx lint-staged && ${simpleGitHooks.command('pre-commit')}`);
+        expect(read('package.json')).toMatch(/^ {4}"name"/m);
+
+        simpleGitHooks.unregister(configFile, 'pre-commit');
+        expect(JSON.parse(read('package.json'))['simple-git-hooks']).toEqual({ 'pre-commit': 'npx lint-staged' });
+    });
+
+    test('reads a JavaScript config without editing it', () => {
+        write('.simple-git-hooks.js', "module.exports = { 'pre-commit': 'npx lint-staged' };\n");
+        const configFile = simpleGitHooks.detect(root);
+
+        expect(simpleGitHooks.registeredCommand(configFile, 'pre-commit')).toBeNull();
+        expect(() => simpleGitHooks.register(configFile, 'pre-commit')).toThrow('Cannot edit .simple-git-hooks.js');
+
+        write('.simple-git-hooks.js', `module.exports = { 'pre-commit': 'npx lint-staged && ${simpleGitHooks.command('pre-commit')}' };\n`);
+        expect(simpleGitHooks.registeredCommand(configFile, 'pre-commit')).toBe(simpleGitHooks.command('pre-commit'));
+    });
+});
+
+describe('pre-commit framework', () => {
+    test('adds a local repo entry per hook type and removes it again', () => {
+        const config = ['repos:', '  - repo: https://github.com/pre-commit/pre-commit-hooks', '    rev: v4.6.0', '    hooks:', '      - id: trailing-whitespace', ''].join('\n');
+        write('.pre-commit-config.yaml', config);
+        const configFile = preCommitFramework.detect(root);
+
+        preCommitFramework.register(configFile, 'commit-msg');
+        expect(read('.pre-commit-config.yaml')).toContain([
+            '  - repo: local',
+            '    hooks:',
+            '      - id: secure-commit-commit-msg',
+            '        name: secure-commit (commit-msg)',
+            `        entry: npx --no-install secure-commit hook commit-msg --hook-version ${VERSION}`
+        ].join('\n'));
+        expect(read('.pre-commit-config.yaml')).toContain('pass_filenames: true');
+        expect(preCommitFramework.registeredCommand(configFile, 'commit-msg')).toBe(preCommitFramework.command('commit-msg'));
+
+        preCommitFramework.unregister(configFile, 'commit-msg');
+        expect(read('.pre-commit-config.yaml')).toBe(config);
+    });
+});
+
+describe('registeredHookState', () => {
+    function huskyWith(line) {
+        fs.mkdirSync(path.join(root, '.husky'), { recursive: true });
+        write('.husky/pre-commit', `npx lint-staged\n${line}\n`);
+        return detectHookManager(root);
+    }
+
+    test('compares the registered command with the current one', () => {
+        expect(registeredHookState(huskyWith('echo nothing'), 'pre-commit')).toBeNull();
+        expect(registeredHookState(huskyWith(husky.command('pre-commit')), 'pre-commit')).toEqual({ state: 'current', version: VERSION });
+        expect(registeredHookState(huskyWith('npx --no-install secure-commit hook pre-commit'), 'pre-commit')).toEqual({ state: 'outdated', version: null });
+        expect(registeredHookState(huskyWith('npx --no-install secure-commit hook pre-commit --hook-version 0.0.1'), 'pre-commit')).toEqual({ state: 'outdated', version: '0.0.1' });
+        expect(registeredHookState(huskyWith(`${husky.command('pre-commit')} --no-ignore`), 'pre-commit')).toEqual({ state: 'modified', version: VERSION });
+    });
+
+    test('upgrades an outdated command in place', () => {
+        const managed = huskyWith('npx --no-install secure-commit hook pre-commit');
+
+        upgradeRegisteredHook(managed, 'pre-commit');
+        expect(read('.husky/pre-commit')).toBe(`npx lint-staged\n${husky.command('pre-commit')}\n`);
+    });
+});
+
+describe('installing with a hook manager', () => {
+    beforeEach(() => {
+        execSync('git init -q', { cwd: root });
+        fs.mkdirSync(path.join(root, '.husky'));
+    });
+
+    test('reports an outdated command and upgrades it, but keeps an edited one without force', () => {
+        write('.husky/pre-commit', 'npx --no-install secure-commit hook pre-commit\n');
+        expect(checkHookInstallation(root).hooks['pre-commit']).toMatchObject({ installed: true, state: 'outdated', manager: 'husky' });
+
+        expect(installHooks(root).hooks[0].message).toBe(`Upgraded from an unversioned command to v${VERSION} in husky`);
+        expect(checkHookInstallation(root).hooks['pre-commit'].state).toBe('current');
+
+        write('.husky/pre-commit', `${husky.command('pre-commit')} --no-ignore\n`);
+        expect(() => installHooks(root)).toThrow('The pre-commit command in .husky was edited');
+        installHooks(root, { force: true });
+        expect(read('.husky/pre-commit')).toBe(`${husky.command('pre-commit')}\n`);
+    });
+
+    test('does not fail on a JavaScript simple-git-hooks config', () => {
+        fs.rmSync(path.join(root, '.husky'), { recursive: true });
+        write('simple-git-hooks.js', "module.exports = { 'pre-commit': 'npx lint-staged' };\n");
+
+        expect(checkHookInstallation(root)).toMatchObject({ installed: false, reason: 'No pre-commit hook registered with simple-git-hooks' });
+        expect(() => installHooks(root)).toThrow('Cannot edit simple-git-hooks.js');
+    });
+});
@@ -0,0 +1,89 @@
+// test/reporters.test.js
+import { formatJson, formatJsonLines } from '../lib/reporters/json.js';
+import { formatJunit } from '../lib/reporters/junit.js';
+import { formatCsv } from '../lib/reporters/csv.js';
+import { getReporter, SCHEMA_VERSION } from '../lib/reporters/index.js';
+import { scanContent } from '../lib/detector.js';
+import { defaultConfig } from '../lib/config.js';
+
+const key = 'AKIA' + 'Z3Q7Z3Q7Z3Q7Z3Q7';
+const marker = 'secure-commit:' + 'ignore';
+
+const results = {
+    config: defaultConfig,
+    findings: [
+        ...scanContent(`const key = "${key}";`, 'src/app.js'),
+        ...scanContent(`const old = "${key}"; // ${marker} aws_access -- rotated`, 'src/legacy.js', defaultConfig, { includeSuppressed: true })
+    ],
+    trackedFiles: ['.env']
+};
+
+describe('formatJson', () => {
+    const report = JSON.parse(formatJson(results));
+
+    test('carries the schema version and a summary of active entries', () => {
+        expect(report.schemaVersion).toBe(SCHEMA_VERSION);
+        expect(report.summary).toEqual({ total: 2, secrets: 1, trackedFiles: 1, suppressed: 1, high: 2, medium: 0, low: 0 });
+    });
+
+    test('lists findings with a truncated match, and tracked files separately', () => {
+        expect(report.findings[0]).toMatchObject({ kind: 'secret', rule: 'aws_access', file: 'src/app.js', line: 1, match: key.slice(0, 12) + '...' });
+        expect(report.findings[1]).toMatchObject({ suppressed: true, suppressionReason: 'rotated' });
+        expect(report.trackedFiles).toEqual([expect.objectContaining({ kind: 'tracked_file', file: '.env' })]);
+        expect(JSON.stringify(report)).not.toContain(key);
+    });
+});
+
+describe('formatJsonLines', () => {
+    test('writes one object per entry and a summary line last, each with the schema version', () => {
+        const lines = formatJsonLines(results).trim().split('\n').map(line => JSON.parse(line));
+
+        expect(lines.map(line => line.kind)).toEqual(['secret', 'secret', 'tracked_file', 'summary']);
+        expect(lines.every(line => line.schemaVersion === SCHEMA_VERSION)).toBe(true);
+        expect(lines[3].total).toBe(2);
+    });
+});
+
+describe('formatJunit', () => {
+    const xml = formatJunit(results);
+
+    test('counts active entries as failures and suppressed ones as skipped', () => {
+        expect(xml).toContain('<testsuite name="secure-commit" tests="3" failures="2" skipped="1"');
+        expect(xml).toContain('<skipped message="Suppressed: rotated"/>');
+        expect(xml.match(/<failure /g)).toHaveLength(2);
+    });
+
+    test('escapes XML in file names', () => {
+        const escaped = formatJunit({ ...results, findings: scanContent(`const key = "${key}";`, 'a&b<c>.js'), trackedFiles: [] });
+
+        expect(escaped).toContain('file="a&amp;b&lt;c&gt;.js"');
+    });
+
+    test('reports a clean scan as one passing test case', () => {
+        expect(formatJunit({ findings: [], trackedFiles: [] })).toContain('<testcase name="No secrets detected" classname="secure-commit.scan"/>');
+    });
+});
+
+describe('formatCsv', () => {
+    test('writes a header and one CRLF-terminated row per entry', () => {
+        const rows = formatCsv(results).split('\r\n');
+
+        expect(rows[0].split(',').slice(0, 3)).toEqual(['schema_version', 'kind', 'rule']);
+        expect(rows).toHaveLength(5);
+        expect(rows[4]).toBe('');
+    });
+
+    test('quotes commas and neutralizes spreadsheet formulas', () => {
+        const finding = { ...results.findings[0], file: '=cmd|calc', suggestion: 'a, "b"' };
+        const row = formatCsv({ findings: [finding] }).split('\r\n')[1];
+
+        expect(row).toContain(",'=cmd|calc,");
+        expect(row).toContain(',"a, ""b""",');
+    });
+});
+
+describe('getReporter', () => {
+    test('rejects unknown formats', () => {
+        expect(() => getReporter('xml')).toThrow('Unknown format "xml"');
+    });
+});
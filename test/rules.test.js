@@ -0,0 +1,17 @@
+// test/rules.test.js
+import { verifyRuleExamples } from '../lib/detector.js';
+import { defaultConfig } from '../lib/config.js';
+
+describe('rule examples', () => {
+    test('every positive example is reported and no negative one is', () => {
+        expect(verifyRuleExamples(defaultConfig)).toEqual([]);
+    });
+
+    test('every rule has at least one positive example', () => {
+        const missing = Object.entries(defaultConfig.rules)
+            .filter(([, rule]) => !rule.examples || !rule.examples.positive || rule.examples.positive.length === 0)
+            .map(([id]) => id);
+
+        expect(missing).toEqual([]);
+    });
+});
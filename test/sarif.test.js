@@ -0,0 +1,61 @@
+// test/sarif.test.js
+import { formatSarif } from '../lib/reporters/sarif.js';
+import { scanContent } from '../lib/detector.js';
+import { defaultConfig } from '../lib/config.js';
+
+const key = 'AKIA' + 'Z3Q7Z3Q7Z3Q7Z3Q7';
+const marker = 'secure-commit:' + 'ignore';
+
+function report(results) {
+    return JSON.parse(formatSarif({ config: defaultConfig, ...results }));
+}
+
+describe('formatSarif', () => {
+    const findings = [
+        ...scanContent(`const key = "${key}";`, 'src/app.js'),
+        ...scanContent(`const old = "${key}"; // ${marker} aws_access -- rotated`, 'src/legacy.js', defaultConfig, { includeSuppressed: true })
+    ];
+    const log = report({ findings, trackedFiles: ['.env'] });
+    const [run] = log.runs;
+
+    test('is a SARIF 2.1.0 log with every configured rule', () => {
+        expect(log.version).toBe('2.1.0');
+        expect(run.tool.driver.name).toBe('secure-commit');
+        expect(run.tool.driver.rules.map(rule => rule.id)).toEqual([...Object.keys(defaultConfig.rules), 'tracked_sensitive_file']);
+    });
+
+    test('points each result at its rule, file and line', () => {
+        const [result] = run.results;
+        const rule = run.tool.driver.rules[result.ruleIndex];
+
+        expect(result).toMatchObject({ ruleId: 'aws_access', level: 'error' });
+        expect(rule.id).toBe('aws_access');
+        expect(rule.properties['security-severity']).toBe('8.0');
+        expect(result.locations[0].physicalLocation).toEqual({
+            artifactLocation: { uri: 'src/app.js', uriBaseId: '%SRCROOT%' },
+            region: { startLine: 1 }
+        });
+        expect(result.partialFingerprints['secureCommit/v1']).toBe(findings[0].fingerprint);
+    });
+
+    test('marks suppressed findings with their justification', () => {
+        expect(run.results[1].suppressions).toEqual([{ kind: 'inSource', justification: 'rotated' }]);
+    });
+
+    test('reports tracked sensitive files as results without a region', () => {
+        const tracked = run.results[2];
+
+        expect(tracked.ruleId).toBe('tracked_sensitive_file');
+        expect(tracked.locations[0].physicalLocation).toEqual({ artifactLocation: { uri: '.env', uriBaseId: '%SRCROOT%' } });
+    });
+
+    test('never contains the secret', () => {
+        expect(JSON.stringify(log)).not.toContain(key);
+    });
+
+    test('percent-encodes file names in URIs', () => {
+        const [result] = report({ findings: scanContent(`const key = "${key}";`, 'my app/ä.js') }).runs[0].results;
+
+        expect(result.locations[0].physicalLocation.artifactLocation.uri).toBe('my%20app/%C3%A4.js');
+    });
+});
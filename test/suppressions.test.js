@@ -0,0 +1,78 @@
+// test/suppressions.test.js
+import { parseSuppression, suppressionApplies } from '../lib/suppressions.js';
+import { scanContent, scanLines } from '../lib/detector.js';
+
+const key = 'AKIA' + 'Z3Q7Z3Q7Z3Q7Z3Q7';
+const marker = 'secure-commit:' + 'ignore';
+
+describe('parseSuppression', () => {
+    test('reads rule ids and the reason', () => {
+        expect(parseSuppression(`x(); // ${marker} aws_access, jwt -- documented example`, 'app.js')).toMatchObject({
+            nextLine: false,
+            rules: ['aws_access', 'jwt'],
+            reason: 'documented example'
+        });
+    });
+
+    test('reads ignore-next-line and strips closing comment markers', () => {
+        expect(parseSuppression(`<!-- ${marker}-next-line -- sample output -->`, 'README.md')).toMatchObject({
+            nextLine: true,
+            rules: [],
+            reason: 'sample output'
+        });
+    });
+
+    test('only accepts the comment syntax of the file', () => {
+        expect(parseSuppression(`# ${marker} -- reason`, 'app.js')).toBeNull();
+        expect(parseSuppression(`// ${marker} -- reason`, 'settings.py')).toBeNull();
+        expect(parseSuppression(`x = 1 ; ${marker} -- reason`, 'app.ini')).not.toBeNull();
+        expect(parseSuppression(`! ${marker} -- reason`, 'app.properties')).not.toBeNull();
+    });
+
+    test('returns null without a suppression comment', () => {
+        expect(parseSuppression('const a = 1; // secure-commit is great', 'app.js')).toBeNull();
+    });
+});
+
+describe('suppressionApplies', () => {
+    test('covers every rule without ids or with *, otherwise only the listed ones', () => {
+        expect(suppressionApplies({ rules: [] }, 'jwt')).toBe(true);
+        expect(suppressionApplies({ rules: ['*'] }, 'jwt')).toBe(true);
+        expect(suppressionApplies({ rules: ['aws_access'] }, 'jwt')).toBe(false);
+    });
+});
+
+describe('suppressed findings', () => {
+    test('are dropped, or kept with the reason when asked for', () => {
+        const content = `const key = "${key}"; // ${marker} aws_access -- fixture`;
+
+        expect(scanContent(content, 'app.js')).toEqual([]);
+        expect(scanContent(content, 'app.js', undefined, { includeSuppressed: true })).toEqual([
+            expect.objectContaining({ type: 'aws_access', suppressed: { reason: 'fixture', comment: `// ${marker} aws_access -- fixture` } })
+        ]);
+    });
+
+    test('ignore-next-line covers only the line below', () => {
+        const content = [`// ${marker}-next-line -- fixture`, `const a = "${key}";`, `const b = "${key}";`].join('\n');
+
+        expect(scanContent(content, 'app.js').map(finding => finding.line)).toEqual([3]);
+    });
+
+    test('ignore-next-line above an added line still applies in a diff', () => {
+        const lines = [{ line: 8, text: `const a = "${key}";`, previousText: `// ${marker}-next-line -- fixture` }];
+
+        expect(scanLines(lines, 'app.js')).toEqual([]);
+    });
+
+    test('a suppression for another rule does not apply', () => {
+        expect(scanContent(`const key = "${key}"; // ${marker} jwt -- wrong rule`, 'app.js')).toEqual([
+            expect.objectContaining({ type: 'aws_access' })
+        ]);
+    });
+
+    test('a suppression without a reason is not honoured and is reported itself', () => {
+        const types = scanContent(`const key = "${key}"; // ${marker} aws_access`, 'app.js').map(finding => finding.type);
+
+        expect(types.sort()).toEqual(['aws_access', 'suppression_without_reason']);
+    });
+});
@@ -0,0 +1,81 @@
+// test/validators.test.js
+import { crc32, githubChecksum, validateGithubToken, validateAwsAccessKey, validateJwt } from '../lib/validators.js';
+import { scanContent } from '../lib/detector.js';
+import { resolveConfig } from '../lib/config.js';
+
+const random = 'aB3d'.repeat(8).slice(0, 30);
+const githubToken = 'ghp_' + random + githubChecksum(random);
+const awsKey = 'AKIA' + 'Z3Q7Z3Q7Z3Q7Z3Q7';
+
+function base64Url(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+describe('crc32', () => {
+    test('matches the standard check value', () => {
+        expect(crc32('123456789')).toBe(0xcbf43926);
+    });
+});
+
+describe('validateGithubToken', () => {
+    test('accepts a token whose last six characters are the checksum of the rest', () => {
+        expect(githubChecksum(random)).toMatch(/^[0-9A-Za-z]{6}$/);
+        expect(validateGithubToken(githubToken)).toBe(true);
+    });
+
+    test('rejects a changed character or a wrong length', () => {
+        expect(validateGithubToken(githubToken.replace('aB3d', 'aB3e'))).toBe(false);
+        expect(validateGithubToken(githubToken.slice(0, -1))).toBe(false);
+    });
+});
+
+describe('validateAwsAccessKey', () => {
+    test('accepts AKIA and ASIA keys with a base32 body', () => {
+        expect(validateAwsAccessKey(awsKey)).toBe(true);
+        expect(validateAwsAccessKey('ASIA' + awsKey.slice(4))).toBe(true);
+    });
+
+    test('rejects digits outside base32 and the documentation placeholder', () => {
+        expect(validateAwsAccessKey('AKIA' + '0189018901890189')).toBe(false);
+        expect(validateAwsAccessKey('AKIA' + 'IOSFODNN7' + 'EXAMPLE')).toBe(false);
+    });
+});
+
+describe('validateJwt', () => {
+    const payload = base64Url({ sub: '1234567890' });
+
+    test('accepts a header with an algorithm and a JSON payload', () => {
+        expect(validateJwt(`${base64Url({ alg: 'HS256', typ: 'JWT' })}.${payload}.signature`)).toBe(true);
+    });
+
+    test('rejects a header without an algorithm or segments that are not JSON', () => {
+        expect(validateJwt(`${base64Url({ typ: 'JWT' })}.${payload}.signature`)).toBe(false);
+        expect(validateJwt(`${base64Url({ alg: 'HS256' })}.bm90IGpzb24.signature`)).toBe(false);
+    });
+});
+
+describe('validated rules in the detector', () => {
+    test('mark matches that pass as validated', () => {
+        expect(scanContent(`const key = "${awsKey}";`, 'app.js')).toEqual([
+            expect.objectContaining({ type: 'aws_access', severity: 'high', confidence: 'validated' })
+        ]);
+    });
+
+    test('downgrade failures when onInvalid is "downgrade"', () => {
+        const placeholder = 'AKIA' + 'IOSFODNN7' + 'EXAMPLE';
+
+        expect(scanContent(`const key = "${placeholder}";`, 'app.js')).toEqual([
+            expect.objectContaining({ type: 'aws_access', severity: 'medium', confidence: 'unverified' })
+        ]);
+    });
+
+    test('drop failures otherwise, or downgrade them when configured', () => {
+        const broken = `const token = "${githubToken.slice(0, -6)}AAAAAA";`;
+        const config = resolveConfig({ overrides: { github_token: { onInvalid: 'downgrade' } } });
+
+        expect(scanContent(broken, 'app.js').filter(finding => finding.type === 'github_token')).toEqual([]);
+        expect(scanContent(broken, 'app.js', config).filter(finding => finding.type === 'github_token')).toEqual([
+            expect.objectContaining({ severity: 'low', confidence: 'unverified' })
+        ]);
+    });
+});